@@ -108,7 +108,13 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { Connection, PublicKey } = require('@solana/web3.js');
-const { hydratePoolsOnDemand } = require('./utils/example_reserveFetcher_usage');
+const { writeValidatedJson } = require('./engine/schema');
+const { createLogger } = require('./utils/logger');
+
+// Verbosity: LOG_LEVELS=enricher=debug,validator=warn (see utils/logger.js)
+const logger = createLogger('enricher');
+const validatorLogger = createLogger('validator');
+const hydrateLogger = createLogger('hydrate');
 
 
 // ============================================================================
@@ -147,7 +153,7 @@ async function waitForRateLimit() {
 
   if (rateLimiter.backoffUntil > now) {
     const waitMs = rateLimiter.backoffUntil - now;
-    console.warn(`[enricher] Rate limited. Backing off ${waitMs}ms`);
+    logger.warn('rate limited, backing off', { waitMs });
     await sleep(waitMs);
   }
 
@@ -163,7 +169,7 @@ function handle429() {
   rateLimiter.consecutive429s++;
   const backoff = Math.min(60000, 250 * Math.pow(2, Math.min(10, rateLimiter.consecutive429s)));
   rateLimiter.backoffUntil = Date.now() + backoff;
-  console.warn(`[enricher] Hit 429. Backing off ${backoff}ms (attempt ${rateLimiter.consecutive429s})`);
+  logger.warn('hit 429, backing off', { backoffMs: backoff, attempt: rateLimiter.consecutive429s });
 }
 
 function handleSuccess() {
@@ -188,8 +194,6 @@ function parseSplTokenAmount(data) {
   }
 }
 
-const pools = require('./custom_pools.json');
-
 /**
  * Extract vault addresses from pool (handles various field names)
  */
@@ -226,14 +230,6 @@ function getVaultAddresses(pool) {
   return { xVault, yVault };
 }
 
-const byType = {}; const withVaults = {}; const withAtomicRes = {};
-for (const p of pools) {
-  const t = (p.type || '').toLowerCase(); byType[t] = (byType[t] || 0) + 1;
-  const v = !!(p.vaults && p.vaults.xVault && p.vaults.yVault); if (v) withVaults[t] = (withVaults[t] || 0) + 1;
-  const xr = typeof p.xReserve === 'string' || typeof p.xReserve === 'number';
-  const yr = typeof p.yReserve === 'string' || typeof p.yReserve === 'number';
-  if (xr && yr) withAtomicRes[t] = (withAtomicRes[t] || 0) + 1;
-}
 /**
  * Check if pool already has valid reserves
  * Handles both atomic (integer) and human (decimal) formats
@@ -294,10 +290,10 @@ async function fetchAccountsBatched(connection, pubkeys, batchSize = 100) {
           handle429();
           retries++;
           if (retries < maxRetries) {
-            console.warn(`[enricher] Batch ${Math.floor(i / batchSize)}: 429 received. Retry ${retries}/${maxRetries}`);
+            logger.warn('batch got 429, retrying', { batch: Math.floor(i / batchSize), retry: retries, maxRetries });
           }
         } else {
-          console.warn(`[enricher] Batch ${Math.floor(i / batchSize)} failed: ${e.message}`);
+          logger.warn('batch failed', { batch: Math.floor(i / batchSize), error: e });
           break;
         }
       }
@@ -307,6 +303,120 @@ async function fetchAccountsBatched(connection, pubkeys, batchSize = 100) {
   return results;
 }
 
+// ============================================================================
+// SDK HYDRATION (pools without vault addresses)
+// ============================================================================
+
+let dlmmProgram = null;
+
+// Pool-state account -> { vaultA, vaultB, mintA, mintB }, by pool type
+const POOL_STATE_DECODERS = {
+  dlmm(data) {
+    if (!dlmmProgram) {
+      // Only the account coder is used; the program never sends a request
+      const { createProgram } = require('@meteora-ag/dlmm');
+      dlmmProgram = createProgram(new Connection('http://127.0.0.1:1'));
+    }
+    const { decodeAccount } = require('@meteora-ag/dlmm');
+    const s = decodeAccount(dlmmProgram, 'lbPair', data);
+    return { vaultA: s.reserveX, vaultB: s.reserveY, mintA: s.tokenXMint, mintB: s.tokenYMint };
+  },
+  clmm(data) {
+    const { PoolInfoLayout } = require('@raydium-io/raydium-sdk-v2');
+    const s = PoolInfoLayout.decode(data);
+    return { vaultA: s.vaultA, vaultB: s.vaultB, mintA: s.mintA, mintB: s.mintB };
+  },
+  whirlpool(data, address) {
+    const { ParsableWhirlpool } = require('@orca-so/whirlpools-sdk');
+    const s = ParsableWhirlpool.parse(new PublicKey(address), { data, owner: PublicKey.default, lamports: 0, executable: false });
+    if (!s) throw new Error('not a whirlpool account');
+    return { vaultA: s.tokenVaultA, vaultB: s.tokenVaultB, mintA: s.tokenMintA, mintB: s.tokenMintB };
+  },
+};
+
+function stateDecoderFor(pool) {
+  const t = (pool.type || '').toLowerCase();
+  if (t.includes('dlmm')) return POOL_STATE_DECODERS.dlmm;
+  if (t.includes('whirlpool')) return POOL_STATE_DECODERS.whirlpool;
+  if (t.includes('clmm') || t.includes('concentrated')) return POOL_STATE_DECODERS.clmm;
+  return null;
+}
+
+/**
+ * Fill in vaults and reserves for pools that lack vault addresses: decode each
+ * pool-state account for its vaults and mints, then read both vault balances.
+ * Vaults are oriented so xVault holds baseMint (the CRITICAL INVARIANT above).
+ * Pools are updated in place; failures are logged and leave the pool as it was.
+ *
+ * @param {Connection} connection
+ * @param {Array} pools - dlmm, clmm or whirlpool pools
+ * @param {Object} [options] - { batchSize = 100, logger = the 'hydrate' component logger }
+ * @returns {Promise<Array>} The same pools
+ */
+async function hydratePoolsOnDemand(connection, pools, options = {}) {
+  const { batchSize = 100, logger: log = hydrateLogger } = options;
+
+  const candidates = [];
+  for (const pool of pools) {
+    const decode = stateDecoderFor(pool);
+    if (!decode) {
+      log.debug('no pool-state decoder', { pool: pool.poolAddress, type: pool.type });
+      continue;
+    }
+    try {
+      candidates.push({ pool, decode, pubkey: new PublicKey(pool.poolAddress) });
+    } catch (e) {
+      log.debug('invalid pool address', { pool: pool.poolAddress });
+    }
+  }
+
+  // Pool-state accounts -> vault addresses
+  const states = await fetchAccountsBatched(connection, candidates.map(c => c.pubkey), batchSize);
+  const withVaults = [];
+  candidates.forEach(({ pool, decode }, i) => {
+    const account = states[i];
+    if (!account?.data) {
+      log.debug('pool account not found', { pool: pool.poolAddress });
+      return;
+    }
+    try {
+      const s = decode(account.data, pool.poolAddress);
+      const [mintA, mintB] = [String(s.mintA), String(s.mintB)];
+      let [xVault, yVault] = [String(s.vaultA), String(s.vaultB)];
+      if (pool.baseMint === mintB) {
+        [xVault, yVault] = [yVault, xVault];
+      } else if (pool.baseMint && pool.baseMint !== mintA) {
+        log.warn('pool mints do not match the record', { pool: pool.poolAddress, baseMint: pool.baseMint, mintA, mintB });
+        return;
+      }
+      withVaults.push({ pool, xVault, yVault });
+    } catch (e) {
+      log.debug('pool account not decoded', { pool: pool.poolAddress, type: pool.type, error: e });
+    }
+  });
+
+  // Vault accounts -> reserves
+  const vaultKeys = withVaults.flatMap(v => [new PublicKey(v.xVault), new PublicKey(v.yVault)]);
+  const vaults = await fetchAccountsBatched(connection, vaultKeys, batchSize);
+  let hydrated = 0;
+  withVaults.forEach(({ pool, xVault, yVault }, i) => {
+    const x = vaults[2 * i]?.data ? parseSplTokenAmount(vaults[2 * i].data) : null;
+    const y = vaults[2 * i + 1]?.data ? parseSplTokenAmount(vaults[2 * i + 1].data) : null;
+    pool.vaults = { ...pool.vaults, xVault, yVault };
+    if (x === null || y === null) {
+      log.debug('vault balance not read', { pool: pool.poolAddress, xVault, yVault });
+      return;
+    }
+    pool.xReserve = x;
+    pool.yReserve = y;
+    pool.reserveSource = 'fresh';
+    hydrated++;
+  });
+
+  log.info('hydration done', { pools: pools.length, decoded: withVaults.length, hydrated });
+  return pools;
+}
+
 // ============================================================================
 // MAIN ENRICHER
 // ============================================================================
@@ -320,11 +430,9 @@ async function fetchAccountsBatched(connection, pubkeys, batchSize = 100) {
  * @returns {Promise<Array>} Enriched pools
  */
 async function enrichReserves(pools, connection, options = {}) {
-  const { batchSize = 100, log = true } = options;
+  const { batchSize = 100 } = options;
 
-  if (log) {
-    console.log(`[enricher] Starting reserve enrichment for ${pools.length} pools`);
-  }
+  logger.info('starting reserve enrichment', { pools: pools.length });
 
   // Build vault -> pool mapping
   const vaultMap = new Map(); // vaultAddress -> [{ pool, side: 'x' | 'y' }]
@@ -394,9 +502,7 @@ async function enrichReserves(pools, connection, options = {}) {
   let failedCount = 0;
 
   if (pubkeyList.length > 0) {
-    if (log) {
-      console.log(`[enricher] Fetching ${pubkeyList.length} vault accounts...`);
-    }
+    logger.info('fetching vault accounts', { accounts: pubkeyList.length });
 
     // Fetch all vault accounts
     const accounts = await fetchAccountsBatched(connection, pubkeyList, batchSize);
@@ -433,9 +539,9 @@ async function enrichReserves(pools, connection, options = {}) {
 
   // Handle SDK pools
   if (sdkPools.length > 0) {
-    if (log) console.log(`[enricher] Attempting SDK hydration for ${sdkPools.length} pools missing vaults...`);
+    logger.info('attempting SDK hydration for pools missing vaults', { pools: sdkPools.length });
     try {
-      const hydrated = await hydratePoolsOnDemand(connection, sdkPools, { ...options, log: log });
+      const hydrated = await hydratePoolsOnDemand(connection, sdkPools, { ...options, logger: hydrateLogger });
 
       // Merge results
       for (const hPool of hydrated) {
@@ -451,7 +557,7 @@ async function enrichReserves(pools, connection, options = {}) {
         }
       }
     } catch (e) {
-      console.warn(`[enricher] SDK hydration failed: ${e.message}`);
+      logger.warn('SDK hydration failed', { pools: sdkPools.length, error: e });
       failedCount += sdkPools.length;
     }
   }
@@ -480,14 +586,13 @@ async function enrichReserves(pools, connection, options = {}) {
     }
   }
 
-  if (log) {
-    console.log(`[enricher] Fresh reserves: ${freshCount} updated, ${failedCount} failed`);
-
-    const withReserves = pools.filter(p => p.hasReserves).length;
-    const mathReady = pools.filter(p => p.isMathReady).length;
-    console.log(`[enricher] With reserves: ${withReserves}/${pools.length}`);
-    console.log(`[enricher] Math ready: ${mathReady}/${pools.length}`);
-  }
+  logger.info('reserve enrichment done', {
+    updated: freshCount,
+    failed: failedCount,
+    withReserves: pools.filter(p => p.hasReserves).length,
+    mathReady: pools.filter(p => p.isMathReady).length,
+    total: pools.length,
+  });
 
   return pools;
 }
@@ -499,9 +604,7 @@ async function enrichReserves(pools, connection, options = {}) {
 /**
  * Validate and filter pools for engine use
  */
-function validatePools(pools, options = {}) {
-  const { log = true } = options;
-
+function validatePools(pools) {
   const valid = [];
   const issues = {
     noAddress: 0,
@@ -539,13 +642,7 @@ function validatePools(pools, options = {}) {
     valid.push(pool);
   }
 
-  if (log) {
-    console.log(`[validator] Valid pools: ${valid.length}/${pools.length}`);
-    if (issues.noAddress > 0) console.log(`  - No address: ${issues.noAddress}`);
-    if (issues.noMints > 0) console.log(`  - No mints: ${issues.noMints}`);
-    if (issues.noDecimals > 0) console.log(`  - No decimals: ${issues.noDecimals}`);
-    if (issues.noReserves > 0) console.log(`  - No reserves (CPMM/DLMM/whirlpools): ${issues.noReserves}`);
-  }
+  validatorLogger.info('validated pools', { valid: valid.length, total: pools.length, ...issues });
 
   return valid;
 }
@@ -635,12 +732,11 @@ async function main() {
   await enrichReserves(pools, connection, {
     batchSize: opts.batchSize,
     forceRefresh: opts.forceRefresh,
-    log: true,
   });
 
   // Validate pools
   console.log('\n✅ Validating pools...');
-  const validPools = validatePools(pools, { log: true });
+  const validPools = validatePools(pools);
 
   // Summary statistics
   console.log('\n📊 Summary:');
@@ -681,8 +777,9 @@ async function main() {
   console.log(`   USDC by type: ${JSON.stringify(usdcByType)}`);
 
   // Save output
+  // Versioned { schemaVersion, kind: 'pools', pools } file; throws before writing if a pool is malformed
   const outputPath = path.resolve(opts.output);
-  fs.writeFileSync(outputPath, JSON.stringify(validPools, null, 2));
+  writeValidatedJson(outputPath, 'pools', { pools: validPools });
   console.log(`\n✅ Saved ${validPools.length} enriched pools to ${outputPath}`);
 
   console.log('\n' + '═'.repeat(60));
@@ -698,6 +795,7 @@ if (require.main === module) {
 // Exports
 module.exports = {
   enrichReserves,
+  hydratePoolsOnDemand,
   validatePools,
   getVaultAddresses,
   parseSplTokenAmount,
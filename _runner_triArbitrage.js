@@ -1,12 +1,28 @@
 // _runner_triArbitrage.js
 const fs = require('fs');
 const path = require('path');
-const { simulateTriangularRoute } = require('./engine/triArbitrage');
+const { scanTriangles } = require('./engine/triangleScanner');
+const { enumerateTriangles } = require('./engine/triangleGraph');
+const { buildPriceOracle } = require('./engine/priceOracle');
+const { writeValidatedJson } = require('./engine/schema');
+const { getMetrics, cachedQuoter } = require('./engine/triArbitrage');
+const { optimizeTradeSize } = require('./engine/sizeOptimizer');
+const { writePrometheusFile } = require('./engine/metrics');
+const { shortMint } = require('./utils/_utils');
 
 // Configuration
-const POOLS_FILE = './ALL_e.json';
+const POOLS_FILE = process.argv[3] || './ALL_e.json';
+const SCAN_LIMIT = Number(process.argv[2]) || 200;
+const OUTPUT_FILE = process.argv[4] || null;
+// Prometheus text snapshot of adapter latency and outcomes, e.g. for node_exporter's textfile collector
+const METRICS_FILE = process.env.METRICS_FILE || null;
+// Gross profit (percent) above which a route is treated as bad data and diagnosed
+const MAX_PROFIT_PCT = process.env.MAX_PROFIT_PCT ? Number(process.env.MAX_PROFIT_PCT) : null;
+// Only quote triangles that are profitable at mid price (negativeCycles.js); PREFILTER=0 quotes all
+const PREFILTER = process.env.PREFILTER !== '0';
+// Profitable results whose trade size is searched after the scan (0 to skip)
+const OPTIMIZE_TOP = process.env.OPTIMIZE_TOP != null ? Number(process.env.OPTIMIZE_TOP) : 5;
 const SOL_MINT = 'So11111111111111111111111111111111111111112';
-const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
 
 // Load Pools
 console.log(`Loading pools from ${POOLS_FILE}...`);
@@ -25,105 +41,113 @@ try {
 const pools = Array.isArray(poolsData) ? poolsData : (poolsData.pools || []);
 console.log(`Loaded ${pools.length} pools.`);
 
-// Helpers
-function getOtherToken(pool, token) {
-    return pool.baseMint === token ? pool.quoteMint : pool.baseMint;
+console.log('Enumerating triangles anchored at SOL...');
+
+// Search the size of a scanned route between 1/20 and 5x the scan size.
+// Quotes share the scan's adapters and quote cache; split legs are skipped.
+async function optimizeResult(r, poolByAddress) {
+    if (r.pools.some(Array.isArray)) return { ok: false, reason: 'split-leg' };
+    const legs = r.pools.map((address, i) => {
+        const pool = poolByAddress.get(address);
+        return { adapter: cachedQuoter(pool), pool, inputMint: r.mints[i] };
+    });
+    const dx = BigInt(r.dxAtomic);
+    return optimizeTradeSize({
+        legs,
+        minDxAtomic: String(dx / 20n || 1n),
+        maxDxAtomic: String(dx * 5n),
+        maxEvaluations: 30
+    });
 }
 
-// Strategy:
-// 1. Find all SOL/USDC pools (Leg 1)
-// 2. Find all USDC/X pools (Leg 2)
-// 3. Find all X/SOL pools (Leg 3)
-// Pick one triangle and run.
-
-console.log('Searching for a valid triangle (SOL -> USDC -> X -> SOL)...');
+// Run Simulation
+async function main() {
+    const triangles = await enumerateTriangles(pools, { anchors: [SOL_MINT] });
+    if (triangles.length === 0) {
+        console.error('Could not find a complete triangle.');
+        process.exit(1);
+    }
+    console.log(`Found ${triangles.length} triangles, ${triangles.filter(t => t.preScore != null).length} with a mid-price pre-score.`);
 
-const leg1Pools = pools.filter(p =>
-    (p.baseMint === SOL_MINT && p.quoteMint === USDC_MINT) ||
-    (p.baseMint === USDC_MINT && p.quoteMint === SOL_MINT)
-);
+    const priceOracle = buildPriceOracle(pools);
+    console.log(`Priced ${priceOracle.size} mints in USD (SOL = ${priceOracle.priceUsd(SOL_MINT) ?? 'n/a'}).`);
 
-if (leg1Pools.length === 0) {
-    console.error('No SOL/USDC pools found.');
-    process.exit(1);
-}
+    const batch = triangles.slice(0, SCAN_LIMIT);
+    const inputAmount = '10000000000'; // 10 SOL
+    console.log(`\nScanning top ${batch.length} triangles in both directions: ${inputAmount} atomic units (10 SOL) from SOL, $1000 from the other mints...`);
+
+    const { ranked, failures, summary } = await scanTriangles(batch, {
+        dxAtomic: inputAmount,
+        concurrency: 8,
+        timeoutMs: 15000,
+        notionalUsd: 1000,
+        priceOracle,
+        maxProfitPct: MAX_PROFIT_PCT,
+        preFilter: PREFILTER
+    });
+
+    if (PREFILTER) console.log(`\nMid-price pre-filter dropped ${summary.filtered} of ${summary.total} triangles.`);
+    console.log(`\nScanned ${summary.total - summary.filtered - summary.duplicates} pool sets (${summary.duplicates} duplicate orientations) in ${summary.elapsedMs}ms: ${summary.ok} ok, ${summary.failed} failed (${summary.timedOut} timed out), ${summary.profitable} profitable`);
+    for (const [reason, count] of Object.entries(summary.reasons).sort((a, b) => b[1] - a[1])) {
+        console.log(`  ${String(count).padStart(5)}  ${reason}`);
+    }
+    const causes = {};
+    for (const f of failures.filter(f => f.cause)) causes[f.cause] = (causes[f.cause] || 0) + 1;
+    if (Object.keys(causes).length) {
+        console.log('Unrealistic-profit causes (suspect leg):');
+        for (const [cause, count] of Object.entries(causes).sort((a, b) => b[1] - a[1])) {
+            console.log(`  ${String(count).padStart(5)}  ${cause}`);
+        }
+    }
 
-// We just need one working example.
-// Let's iterate through leg1 pools, find leg2 pools, then leg3.
-let triangle = null;
+    console.log('\nTop results:');
+    for (const r of ranked.slice(0, 10)) {
+        const usd = r.profitUsd != null ? `$${r.profitUsd.toFixed(2)}` : '$?';
+        console.log(`  #${r.rank} ${usd} (${Number(r.profitPct).toFixed(4)}%)  ${r.mints.map(shortMint).join(' -> ')} (${r.direction})  [${r.types.join(', ')}]  ${r.pools.join(' | ')}`);
+    }
 
-// Sort leg1 pools by liquidity/reserves if possible to get a "good" one, or just take first.
-// Heuristic: check xReserve/yReserve exist.
-const validLeg1 = leg1Pools.filter(p => p.xReserve || p.liquidity);
-if (validLeg1.length === 0) {
-    console.log('Warning: No SOL/USDC pools with obvious reserves. Trying all.');
-}
-const startPools = validLeg1.length > 0 ? validLeg1 : leg1Pools;
-
-searchLoop:
-for (const pool1 of startPools) {
-    // Determine direction for Leg 1: SOL -> USDC
-
-    // Leg 2: USDC -> X
-    // Find pools containing USDC (but not SOL)
-    const candidatesLeg2 = pools.filter(p =>
-        (p.baseMint === USDC_MINT || p.quoteMint === USDC_MINT) &&
-        (p.baseMint !== SOL_MINT && p.quoteMint !== SOL_MINT)
-    );
-
-    for (const pool2 of candidatesLeg2) {
-        const tokenX = getOtherToken(pool2, USDC_MINT);
-
-        // Leg 3: X -> SOL
-        const pool3 = pools.find(p =>
-            (p.baseMint === tokenX && p.quoteMint === SOL_MINT) ||
-            (p.baseMint === SOL_MINT && p.quoteMint === tokenX)
-        );
-
-        if (pool3) {
-            triangle = {
-                pools: [pool1, pool2, pool3],
-                tokenA: SOL_MINT,
-                tokenB: USDC_MINT,
-                tokenC: tokenX
-            };
-            break searchLoop;
+    const toSize = ranked.filter(r => Number(r.profitPct) > 0).slice(0, OPTIMIZE_TOP);
+    if (toSize.length) {
+        console.log(`\nTrade-size search (top ${toSize.length} profitable):`);
+        const poolByAddress = new Map(pools.map(p => [p.poolAddress, p]));
+        for (const r of toSize) {
+            const s = await optimizeResult(r, poolByAddress);
+            if (!s.ok) {
+                console.log(`  #${r.rank} not sized: ${s.reason}`);
+                continue;
+            }
+            const be = s.breakeven ? `breakeven ${s.breakeven.lowDxAtomic}..${s.breakeven.highDxAtomic}` : 'not profitable at any size';
+            console.log(`  #${r.rank} best ${s.bestDxAtomic} (scanned at ${r.dxAtomic}): profit ${s.profitAtomic} atomic (${Number(s.profitPct).toFixed(4)}%), ${be}, ${s.quotesUsed} quotes`);
+            r.sizing = s;
         }
     }
-}
-
-if (!triangle) {
-    console.error('Could not find a complete triangle.');
-    process.exit(1);
-}
 
-console.log('Triangle found:');
-console.log(`  Leg 1 (SOL->USDC): ${triangle.pools[0].poolAddress} (${triangle.pools[0].type})`);
-console.log(`  Leg 2 (USDC->${triangle.tokenC}): ${triangle.pools[1].poolAddress} (${triangle.pools[1].type})`);
-console.log(`  Leg 3 (${triangle.tokenC}->SOL): ${triangle.pools[2].poolAddress} (${triangle.pools[2].type})`);
+    const latency = getMetrics().summary();
+    console.log('\nAdapter latency (p50 / p95 ms, success rate):');
+    for (const [op, byDex] of Object.entries(latency)) {
+        for (const [dex, m] of Object.entries(byDex)) {
+            console.log(`  ${op.padEnd(16)} ${dex.padEnd(10)} ${String(m.p50Ms).padStart(6)} / ${String(m.p95Ms).padStart(6)}  ${(m.successRate * 100).toFixed(1)}% of ${m.calls}`);
+        }
+    }
+    if (METRICS_FILE) {
+        writePrometheusFile(getMetrics(), METRICS_FILE);
+        console.log(`Wrote metrics to ${METRICS_FILE}`);
+    }
 
-// Run Simulation
-async function main() {
-    const inputAmount = '10000000000'; // 10 SOL
-    console.log(`\nSimulating with input: ${inputAmount} atomic units (1 SOL)...`);
-
-    try {
-        const result = await simulateTriangularRoute({
-            pools: triangle.pools,
-            tokenA: triangle.tokenA,
-            tokenB: triangle.tokenB,
-            tokenC: triangle.tokenC,
-            dxAtomic: inputAmount,
-            log: true
+    if (OUTPUT_FILE) {
+        // Pool records stay in the pools file; results reference them by address
+        writeValidatedJson(OUTPUT_FILE, 'scanReport', {
+            poolsFile: POOLS_FILE,
+            summary,
+            ranked: ranked.map(({ triangle, ...r }) => r)
         });
-
-        console.log('\nSimulation Result:');
-        console.log(JSON.stringify(result, null, 2));
-    } catch (err) {
-        console.error('Simulation failed:', err);
+        console.log(`\nWrote ${ranked.length} results to ${OUTPUT_FILE}`);
     }
 }
 
-main();
+main().catch(e => {
+    console.error(`Scan failed: ${e.message}`);
+    process.exitCode = 1;
+});
 
-// node _runner_triArbitrage.js 10  pools.json
+// node _runner_triArbitrage.js 10  pools.json [output/scan_result.json]
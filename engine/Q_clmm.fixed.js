@@ -3,12 +3,14 @@ require('dotenv').config();
 
 const { PublicKey, Keypair } = require('@solana/web3.js');
 const Decimal = require('decimal.js');
+const { registerAdapter, CAPABILITIES } = require('./quoterRegistry');
+const { unpackQuoteArgs, unpackExactOutArgs } = require('../utils/_utils');
 
 /**
  * CLMM quoter aligned to Q-dlmm.js structure.
  *
  * Philosophy:
- *  - Same surface API as DLMMAdapter: init(), quoteFastExactIn(), quoteExactIn()
+ *  - Same surface API as DLMMAdapter: init(), quoteFastExactIn(), quoteExactIn(), quoteExactOut()
  *  - Returns the same standardized quote keys:
  *      inAmountRaw/outAmountRaw/minOutAmountRaw
  *      inAmountDecimal/outAmountDecimal/minOutAmountDecimal
@@ -23,6 +25,8 @@ const Decimal = require('decimal.js');
  *    quoteProvider signature:
  *      async ({ poolAddress, inAmountAtomic, swapForY, slippageBps, poolData, connection }) =>
  *        { outAmountRaw, minOutAmountRaw, executionPrice, priceImpact, feeRate, remainingAccounts? }
+ *    quoteExactOut calls the same provider with { outAmountAtomic, exactOut: true } instead of
+ *    inAmountAtomic and expects { inAmountRaw, maxInAmountRaw, ... } back.
  */
 
 function ensure(cond, msg) {
@@ -50,9 +54,11 @@ class CLMMAdapter {
    * @param {import('@solana/web3.js').Connection} connection
    * @param {string|PublicKey} poolAddress
    * @param {object|null} poolData - optional enriched pool record; should include mints/decimals/fee if available
+   * @param {object|null} ctx - optional engine context (commitment / rpc options)
    */
-  constructor(connection, poolAddress, poolData = null) {
+  constructor(connection, poolAddress, poolData = null, ctx = null) {
     this.connection = connection;
+    this.ctx = ctx;
     this.poolAddress = new PublicKey(poolAddress);
     this.poolData = poolData;
 
@@ -65,6 +71,7 @@ class CLMMAdapter {
     this.feeBps = (poolData && (poolData.feeBps ?? poolData.fee_bps ?? poolData.raw?.feeBps)) ?? 0;
 
     this._raydium = null; // lazy Raydium v2 client
+    this._lastState = null; // summary of the last compute state, for snapshotState()
   }
 
   async init() {
@@ -85,6 +92,16 @@ class CLMMAdapter {
     return this;
   }
 
+  // State the last SDK quote was computed from (tick arrays per quote are in quote.remainingAccounts)
+  snapshotState() {
+    return {
+      ...(this._lastState || {}),
+      feeBps: this.feeBps,
+      tokenXDecimals: this.tokenXDecimals,
+      tokenYDecimals: this.tokenYDecimals
+    };
+  }
+
   _normalizeQuote({ inAmountAtomic, outAmountAtomic, minOutAtomic, swapForY, feeRate, priceImpact, executionPrice, remainingAccounts }) {
     const inDecimals = swapForY ? this.tokenXDecimals : this.tokenYDecimals;
     const outDecimals = swapForY ? this.tokenYDecimals : this.tokenXDecimals;
@@ -123,6 +140,68 @@ class CLMMAdapter {
     };
   }
 
+  _failedQuote({ inAmountAtomic = '0', swapForY, error }) {
+    return {
+      inAmountRaw: String(inAmountAtomic),
+      outAmountRaw: '0',
+      minOutAmountRaw: '0',
+      inAmountDecimal: 0,
+      outAmountDecimal: 0,
+      minOutAmountDecimal: 0,
+      executionPrice: 0,
+      priceImpact: 0,
+      fee: Number(this.feeBps / 10000),
+      poolAddress: this.poolAddress.toBase58(),
+      dexType: 'RAYDIUM_CLMM',
+      swapForY: Boolean(swapForY),
+      remainingAccounts: [],
+      success: false,
+      error
+    };
+  }
+
+  // Raydium pool info, compute info and tick arrays for one quote
+  async _loadComputeState() {
+    const raydium = await this._getRaydiumClient();
+    ensure(raydium && raydium.api && typeof raydium.api.fetchPoolById === 'function', 'Raydium SDK v2 not available (install @raydium-io/raydium-sdk-v2 or pass quoteProvider)');
+
+    const { PoolUtils } = RaydiumV2;
+    ensure(PoolUtils, 'Raydium SDK v2 PoolUtils not found');
+
+    const res = await raydium.api.fetchPoolById({ ids: this.poolAddress.toBase58() });
+    const poolInfo = Array.isArray(res) ? res[0] : (res?.data ? res.data[0] : res);
+    ensure(poolInfo, 'Raydium api.fetchPoolById returned no pool');
+
+    // Compute clmm info + fetch tick arrays
+    const chainTime = Math.floor(Date.now() / 1000);
+    const clmmInfoList = await PoolUtils.fetchComputeClmmInfo({
+      connection: this.connection,
+      poolInfoList: [poolInfo],
+      chainTime
+    });
+    const clmmInfo = Array.isArray(clmmInfoList) ? clmmInfoList[0] : clmmInfoList;
+    ensure(clmmInfo, 'PoolUtils.fetchComputeClmmInfo returned no clmmInfo');
+
+    // Fetch tick arrays cache
+    const tickCache = await PoolUtils.fetchMultiplePoolTickArrays({
+      connection: this.connection,
+      poolKeys: [clmmInfo.poolKeys],
+      batchRequest: true
+    });
+    const tickArrayCache = Array.isArray(tickCache) ? tickCache[0] : tickCache;
+
+    // The cache is keyed by pool id, then by tick array start index
+    const poolId = clmmInfo.id?.toBase58?.() ?? this.poolAddress.toBase58();
+    this._lastState = {
+      sqrtPriceX64: clmmInfo.sqrtPriceX64?.toString?.() ?? null,
+      liquidity: clmmInfo.liquidity?.toString?.() ?? null,
+      tickCurrent: clmmInfo.tickCurrent ?? null,
+      tickArrayStarts: Object.keys(tickArrayCache?.[poolId] || {}).map(Number).sort((a, b) => a - b)
+    };
+
+    return { PoolUtils, poolInfo, clmmInfo, tickArrayCache };
+  }
+
   async _getRaydiumClient() {
     if (!RaydiumV2) return null;
     if (this._raydium) return this._raydium;
@@ -136,7 +215,7 @@ class CLMMAdapter {
       connection: this.connection,
       owner,
       disableFeatureCheck: true,
-      blockhashCommitment: 'confirmed'
+      blockhashCommitment: this.ctx?.commitment || 'confirmed'
     });
     return this._raydium;
   }
@@ -144,8 +223,8 @@ class CLMMAdapter {
   /**
    * Fast quote: same as exact for now (Raydium CLMM needs tick traversal anyway).
    */
-  async quoteFastExactIn(inAmountAtomic, swapForY = true, slippageBps = 50, opts = {}) {
-    return this.quoteExactIn(inAmountAtomic, swapForY, slippageBps, opts);
+  async quoteFastExactIn(...args) {
+    return this.quoteExactIn(...args);
   }
 
   /**
@@ -155,8 +234,10 @@ class CLMMAdapter {
    * @param {number} slippageBps
    * @param {object} opts
    * @param {function} [opts.quoteProvider] optional injected provider
+   * Also accepts ({ inAmountLamports, swapForY, slippageBps }, opts) like DLMMAdapter.
    */
-  async quoteExactIn(inAmountAtomic, swapForY = true, slippageBps = 50, opts = {}) {
+  async quoteExactIn(...args) {
+    const [inAmountAtomic, swapForY = true, slippageBps = 50, opts = {}] = unpackQuoteArgs(args);
     ensure(inAmountAtomic != null, 'inAmountAtomic required');
 
     const quoteProvider = opts.quoteProvider;
@@ -182,55 +263,13 @@ class CLMMAdapter {
           remainingAccounts: q.remainingAccounts || q.tickArrays || q.binArrays
         });
       } catch (e) {
-        return {
-          inAmountRaw: String(inAmountAtomic),
-          outAmountRaw: '0',
-          minOutAmountRaw: '0',
-          inAmountDecimal: 0,
-          outAmountDecimal: 0,
-          minOutAmountDecimal: 0,
-          executionPrice: 0,
-          priceImpact: 0,
-          fee: Number(this.feeBps / 10000),
-          poolAddress: this.poolAddress.toBase58(),
-          dexType: 'RAYDIUM_CLMM',
-          swapForY: Boolean(swapForY),
-          remainingAccounts: [],
-          success: false,
-          error: `quoteProvider failed: ${e.message || String(e)}`
-        };
+        return this._failedQuote({ inAmountAtomic, swapForY, error: `quoteProvider failed: ${e.message || String(e)}` });
       }
     }
 
     // SDK v2 path (best-effort). If it can't quote, return a clear error to trigger fallback.
     try {
-      const raydium = await this._getRaydiumClient();
-      ensure(raydium && raydium.api && typeof raydium.api.fetchPoolById === 'function', 'Raydium SDK v2 not available (install @raydium-io/raydium-sdk-v2 or pass quoteProvider)');
-
-      const { PoolUtils } = RaydiumV2;
-      ensure(PoolUtils, 'Raydium SDK v2 PoolUtils not found');
-
-      const res = await raydium.api.fetchPoolById({ ids: this.poolAddress.toBase58() });
-      const poolInfo = Array.isArray(res) ? res[0] : (res?.data ? res.data[0] : res);
-      ensure(poolInfo, 'Raydium api.fetchPoolById returned no pool');
-
-      // Compute clmm info + fetch tick arrays
-      const chainTime = Math.floor(Date.now() / 1000);
-      const clmmInfoList = await PoolUtils.fetchComputeClmmInfo({
-        connection: this.connection,
-        poolInfoList: [poolInfo],
-        chainTime
-      });
-      const clmmInfo = Array.isArray(clmmInfoList) ? clmmInfoList[0] : clmmInfoList;
-      ensure(clmmInfo, 'PoolUtils.fetchComputeClmmInfo returned no clmmInfo');
-
-      // Fetch tick arrays cache
-      const tickCache = await PoolUtils.fetchMultiplePoolTickArrays({
-        connection: this.connection,
-        poolKeys: [clmmInfo.poolKeys],
-        batchRequest: true
-      });
-      const tickArrayCache = Array.isArray(tickCache) ? tickCache[0] : tickCache;
+      const { PoolUtils, clmmInfo, tickArrayCache } = await this._loadComputeState();
 
       // Compute quote
       const amountIn = toDec(inAmountAtomic);
@@ -264,23 +303,82 @@ class CLMMAdapter {
         remainingAccounts: remaining
       });
     } catch (e) {
-      return {
-        inAmountRaw: String(inAmountAtomic),
-        outAmountRaw: '0',
-        minOutAmountRaw: '0',
-        inAmountDecimal: 0,
-        outAmountDecimal: 0,
-        minOutAmountDecimal: 0,
-        executionPrice: 0,
-        priceImpact: 0,
-        fee: Number(this.feeBps / 10000),
-        poolAddress: this.poolAddress.toBase58(),
-        dexType: 'RAYDIUM_CLMM',
-        swapForY: Boolean(swapForY),
-        remainingAccounts: [],
-        success: false,
-        error: e.message || String(e)
-      };
+      return this._failedQuote({ inAmountAtomic, swapForY, error: e.message || String(e) });
+    }
+  }
+
+  /**
+   * Input needed for an exact output (SDK computeAmountIn unless you inject quoteProvider).
+   * Same standard quote as quoteExactIn (minOut == out) plus maxInAmountRaw.
+   * @param {string|number|bigint} outAmountAtomic
+   * @param {boolean} swapForY  true => X->Y (base->quote), false => Y->X
+   * @param {number} slippageBps
+   * @param {object} opts
+   * @param {function} [opts.quoteProvider] optional injected provider (called with exactOut: true)
+   */
+  async quoteExactOut(...args) {
+    const [outAmountAtomic, swapForY = true, slippageBps = 50, opts = {}] = unpackExactOutArgs(args);
+    ensure(outAmountAtomic != null, 'outAmountAtomic required');
+
+    const withMaxIn = (q, maxInRaw) => ({
+      ...q,
+      maxInAmountRaw: String(maxInRaw),
+      maxInAmountDecimal: toHuman(maxInRaw, swapForY ? this.tokenXDecimals : this.tokenYDecimals).toNumber(),
+      exactOut: true
+    });
+
+    try {
+      let q;
+      if (typeof opts.quoteProvider === 'function') {
+        q = await opts.quoteProvider({
+          poolAddress: this.poolAddress.toBase58(),
+          outAmountAtomic: String(outAmountAtomic),
+          exactOut: true,
+          swapForY: Boolean(swapForY),
+          slippageBps: Number(slippageBps),
+          poolData: this.poolData,
+          connection: this.connection
+        });
+        ensure(q && q.inAmountRaw != null && q.maxInAmountRaw != null, 'quoteProvider must return inAmountRaw and maxInAmountRaw');
+      } else {
+        const { PoolUtils, clmmInfo, tickArrayCache } = await this._loadComputeState();
+        ensure(typeof PoolUtils.computeAmountIn === 'function', 'Raydium SDK v2 PoolUtils.computeAmountIn not found');
+        ensure(this.tokenXMint && this.tokenYMint, 'CLMMAdapter missing token mints (init() with poolData)');
+
+        const BN = require('bn.js');
+        const epochInfo = await this.connection.getEpochInfo();
+        // baseMint is the mint of amountOut
+        const r = PoolUtils.computeAmountIn({
+          poolInfo: clmmInfo,
+          tickArrayCache,
+          baseMint: swapForY ? this.tokenYMint : this.tokenXMint,
+          epochInfo,
+          amountOut: new BN(String(outAmountAtomic)),
+          slippage: Number(slippageBps) / 10000
+        });
+        ensure(r?.amountIn?.amount != null && r?.maxAmountIn?.amount != null, 'Raydium computeAmountIn returned no amountIn/maxAmountIn');
+        q = {
+          inAmountRaw: r.amountIn.amount.toString(),
+          maxInAmountRaw: r.maxAmountIn.amount.toString(),
+          executionPrice: r.executionPrice != null ? Number(r.executionPrice.toString()) : null,
+          // Percent.toFixed() is in percent
+          priceImpact: r.priceImpact ? Number(r.priceImpact.toFixed(6)) / 100 : 0,
+          remainingAccounts: r.remainingAccounts
+        };
+      }
+
+      return withMaxIn(this._normalizeQuote({
+        inAmountAtomic: String(q.inAmountRaw),
+        outAmountAtomic: String(outAmountAtomic),
+        minOutAtomic: String(outAmountAtomic),
+        swapForY,
+        feeRate: q.feeRate,
+        priceImpact: q.priceImpact,
+        executionPrice: q.executionPrice,
+        remainingAccounts: q.remainingAccounts || q.tickArrays || q.binArrays
+      }), q.maxInAmountRaw);
+    } catch (e) {
+      return this._failedQuote({ swapForY, error: e.message || String(e) });
     }
   }
 }
@@ -288,4 +386,8 @@ class CLMMAdapter {
 module.exports = CLMMAdapter;
 module.exports.CLMMAdapter = CLMMAdapter;
 
+registerAdapter('clmm', CLMMAdapter, {
+  capabilities: [CAPABILITIES.QUOTE_EXACT_IN, CAPABILITIES.QUOTE_FAST_EXACT_IN, CAPABILITIES.QUOTE_EXACT_OUT, CAPABILITIES.SNAPSHOT_STATE]
+});
+
 //. node engine/Q_clmm.fixed.js ../data/pools.json 1000000000 results_CLMM.json
\ No newline at end of file
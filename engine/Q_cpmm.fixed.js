@@ -3,6 +3,8 @@ require('dotenv').config();
 
 const { PublicKey } = require('@solana/web3.js');
 const Decimal = require('decimal.js');
+const { registerAdapter, CAPABILITIES } = require('./quoterRegistry');
+const { unpackQuoteArgs, unpackExactOutArgs } = require('../utils/_utils');
 
 /**
  * CPMM quoter aligned to Q-dlmm.js structure.
@@ -22,8 +24,9 @@ function toHuman(atomicStr, decimals) {
 }
 
 class CPMMAdapter {
-  constructor(connection, poolAddress, poolData = null) {
+  constructor(connection, poolAddress, poolData = null, ctx = null) {
     this.connection = connection;
+    this.ctx = ctx;
     this.poolAddress = new PublicKey(poolAddress);
     this.poolData = poolData || {};
 
@@ -44,6 +47,17 @@ class CPMMAdapter {
 
   async init() { return this; }
 
+  // Reserves and fee the constant-product math runs on
+  snapshotState() {
+    return {
+      xReserve: this.xReserveRaw != null ? String(this.xReserveRaw) : null,
+      yReserve: this.yReserveRaw != null ? String(this.yReserveRaw) : null,
+      feeBps: this.feeBps,
+      tokenXDecimals: this.tokenXDecimals,
+      tokenYDecimals: this.tokenYDecimals
+    };
+  }
+
   _normalizeQuote({ inAmountAtomic, outAmountAtomic, minOutAtomic, swapForY, executionPrice, priceImpact }) {
     const inDecimals = swapForY ? this.tokenXDecimals : this.tokenYDecimals;
     const outDecimals = swapForY ? this.tokenYDecimals : this.tokenXDecimals;
@@ -79,18 +93,96 @@ class CPMMAdapter {
     };
   }
 
-  async quoteFastExactIn(inAmountAtomic, swapForY = true, slippageBps = 50) {
-    return this.quoteExactIn(inAmountAtomic, swapForY, slippageBps);
+  async quoteFastExactIn(...args) {
+    return this.quoteExactIn(...args);
   }
 
-  async quoteExactIn(inAmountAtomic, swapForY = true, slippageBps = 50) {
-    ensure(inAmountAtomic != null, 'inAmountAtomic required');
+  _reserves() {
     const xR = this.xReserveRaw;
     const yR = this.yReserveRaw;
     ensure(xR != null && yR != null, 'CPMM reserves missing (run enrich reserves first)');
     const x = toDec(xR);
     const y = toDec(yR);
     ensure(x.gt(0) && y.gt(0), 'CPMM reserves are zero (cannot quote)');
+    return { x, y };
+  }
+
+  // mid price (ui) vs execution price (ui) for a given in/out pair
+  _priceImpact(inAmt, out, swapForY) {
+    const { x, y } = this._reserves();
+    const xDec = this.tokenXDecimals;
+    const yDec = this.tokenYDecimals;
+    ensure(Number.isInteger(xDec) && Number.isInteger(yDec), 'CPMMAdapter missing decimals for midPrice');
+
+    const midPrice = y.div(Decimal.pow(10, yDec)).div(x.div(Decimal.pow(10, xDec)));
+    const inUi = inAmt.div(Decimal.pow(10, swapForY ? xDec : yDec));
+    const outUi = out.div(Decimal.pow(10, swapForY ? yDec : xDec));
+    const execPrice = inUi.gt(0) ? outUi.div(inUi) : new Decimal(0);
+    // execPrice is quote per base for X -> Y and base per quote for Y -> X
+    const mid = swapForY ? midPrice : new Decimal(1).div(midPrice);
+
+    return {
+      executionPrice: execPrice.toNumber(),
+      priceImpact: (mid.gt(0) && execPrice.gt(0)) ? mid.minus(execPrice).abs().div(mid).toNumber() : 0
+    };
+  }
+
+  /**
+   * Input needed for an exact output: inverse of the constant-product formula,
+   * rounded up so that quoteExactIn(inAmountRaw) returns at least outAmountAtomic.
+   * maxInAmountRaw adds slippageBps on top.
+   * @param {string|number|bigint} outAmountAtomic
+   * @param {boolean} swapForY  true => X->Y (base->quote), false => Y->X
+   * @param {number} slippageBps
+   */
+  async quoteExactOut(...args) {
+    const [outAmountAtomic, swapForY = true, slippageBps = 50] = unpackExactOutArgs(args);
+    try {
+      ensure(outAmountAtomic != null, 'outAmountAtomic required');
+      const { x, y } = this._reserves();
+      const out = toDec(outAmountAtomic);
+      ensure(out.gt(0), 'outAmountAtomic must be > 0');
+
+      const [rIn, rOut] = swapForY ? [x, y] : [y, x];
+      ensure(out.lt(rOut), 'outAmountAtomic exceeds pool reserve');
+
+      const oneMinusFee = new Decimal(1).minus(new Decimal(this.feeBps).div(10000));
+      const inAfterFee = out.mul(rIn).div(rOut.minus(out));
+      let inAmt = inAfterFee.div(oneMinusFee).ceil();
+      // Integer rounding on the forward path can still land one unit short
+      const forward = (a) => a.mul(oneMinusFee).mul(rOut).div(rIn.add(a.mul(oneMinusFee))).floor();
+      while (forward(inAmt).lt(out)) inAmt = inAmt.add(1);
+
+      const maxIn = inAmt.mul(new Decimal(1).add(new Decimal(slippageBps).div(10000))).ceil();
+      const { executionPrice, priceImpact } = this._priceImpact(inAmt, out, swapForY);
+
+      return {
+        ...this._normalizeQuote({
+          inAmountAtomic: inAmt.toFixed(0),
+          outAmountAtomic: out.toFixed(0),
+          minOutAtomic: out.toFixed(0),
+          swapForY,
+          executionPrice,
+          priceImpact
+        }),
+        maxInAmountRaw: maxIn.toFixed(0),
+        maxInAmountDecimal: toHuman(maxIn, swapForY ? this.tokenXDecimals : this.tokenYDecimals).toNumber(),
+        exactOut: true
+      };
+    } catch (e) {
+      return {
+        success: false,
+        error: e.message,
+        dexType: 'RAYDIUM_CPMM',
+        poolAddress: this.poolAddress.toBase58()
+      };
+    }
+  }
+
+  async quoteExactIn(...args) {
+    const [inAmountAtomic, swapForY = true, slippageBps = 50] = unpackQuoteArgs(args);
+    ensure(inAmountAtomic != null, 'inAmountAtomic required');
+    const { x, y } = this._reserves();
 
     const inAmt = toDec(inAmountAtomic);
     ensure(inAmt.gt(0), 'inAmountAtomic must be > 0');
@@ -113,33 +205,14 @@ class CPMMAdapter {
     const slip = new Decimal(slippageBps).div(10000);
     const minOut = out.mul(new Decimal(1).minus(slip)).floor();
 
-    // mid price (ui) for priceImpact
-    const xDec = this.tokenXDecimals;
-    const yDec = this.tokenYDecimals;
-    ensure(Number.isInteger(xDec) && Number.isInteger(yDec), 'CPMMAdapter missing decimals for midPrice');
-
-    const xUi = x.div(Decimal.pow(10, xDec));
-    const yUi = y.div(Decimal.pow(10, yDec));
-    const midPrice = xUi.gt(0) ? yUi.div(xUi) : new Decimal(0);
-
-    // execution price (ui)
-    const inDec = swapForY ? xDec : yDec;
-    const outDec = swapForY ? yDec : xDec;
-
-    const inUi = inAmt.div(Decimal.pow(10, inDec));
-    const outUi = out.div(Decimal.pow(10, outDec));
-    const execPrice = inUi.gt(0) ? outUi.div(inUi) : new Decimal(0);
-
-    const priceImpact = (midPrice.gt(0) && execPrice.gt(0))
-      ? midPrice.minus(execPrice).abs().div(midPrice).toNumber()
-      : 0;
+    const { executionPrice, priceImpact } = this._priceImpact(inAmt, out, swapForY);
 
     return this._normalizeQuote({
       inAmountAtomic: inAmt.toFixed(0),
       outAmountAtomic: out.floor().toFixed(0),
       minOutAtomic: minOut.toFixed(0),
       swapForY,
-      executionPrice: execPrice.toNumber(),
+      executionPrice,
       priceImpact
     });
   }
@@ -148,4 +221,8 @@ class CPMMAdapter {
 module.exports = CPMMAdapter;
 module.exports.CPMMAdapter = CPMMAdapter;
 
+registerAdapter('cpmm', CPMMAdapter, {
+  capabilities: [CAPABILITIES.QUOTE_EXACT_IN, CAPABILITIES.QUOTE_FAST_EXACT_IN, CAPABILITIES.QUOTE_EXACT_OUT, CAPABILITIES.SNAPSHOT_STATE]
+});
+
 //  node ./engine/Q_cpmm.fixed.js pools.json 1000000000 results_CPMM.json
\ No newline at end of file
@@ -5,6 +5,12 @@ const BN = require('bn.js');
 const DLMM = require('@meteora-ag/dlmm');
 const fs = require('fs');
 const { loadPoolsFromAny } = require("../utils/poolLoader.js");
+const { registerAdapter, CAPABILITIES } = require('./quoterRegistry');
+const { writeValidatedJson } = require('./schema');
+const { createLogger } = require('../utils/logger');
+const { unpackExactOutArgs } = require('../utils/_utils');
+
+const logger = createLogger('dlmm');
 
 /**
  * @param {Connection} 
@@ -16,7 +22,7 @@ async function loadDLMM(connection) {
             const pool = await DLMM.getPool(new PublicKey(addr), connection);
             return pool;
         } catch (error) {
-            console.error(`Failed to load DLMM pool at address ${addr}:`, error);
+            logger.error('failed to load DLMM pool', { pool: addr, error });
             throw error;
         }
     };
@@ -67,8 +73,9 @@ function attachTypedToDlmmQuote(q, { inMint, outMint, inDecimals, outDecimals })
 module.exports = { makeAmount, addFeeToLedger, attachTypedToDlmmQuote };
 
 class DLMMAdapter {
-    constructor(connection, poolAddress, poolData = null) {
+    constructor(connection, poolAddress, poolData = null, ctx = null) {
         this.connection = connection;
+        this.ctx = ctx;
         this.poolAddress = new PublicKey(poolAddress);
         this.poolData = poolData;
         this.dlmm = null;
@@ -80,15 +87,20 @@ class DLMMAdapter {
         this.tokenXDecimals = null;
         this.tokenYDecimals = null;
         this.feeBps = null;
+
+        // quoteExactIn refetches state first unless something else (AdapterPool) manages freshness
+        this.autoRefresh = true;
     }
 
     async init() {
         try {
             this.pool = await DLMM.create(this.connection, this.poolAddress);
 
-            // Debugging
-            // console.log("DLMM Pool keys:", Object.keys(this.pool));
-            // if (this.pool.lbPair) console.log("DLMM Pool lbPair keys:", Object.keys(this.pool.lbPair));
+            logger.trace('DLMM pool loaded', {
+                pool: this.poolAddress.toBase58(),
+                keys: Object.keys(this.pool),
+                lbPairKeys: this.pool.lbPair ? Object.keys(this.pool.lbPair) : null
+            });
 
             // Use poolData if available to populate what we can
             if (this.poolData) {
@@ -102,7 +114,7 @@ class DLMMAdapter {
                 // Fallback if poolData not provided
                 // Attempt to access lbPair directly
                 if (!this.pool.lbPair) {
-                    console.log("Keys:", Object.keys(this.pool));
+                    logger.error('lbPair not found on DLMM instance', { pool: this.poolAddress.toBase58(), keys: Object.keys(this.pool) });
                     throw new Error("lbPair not found on DLMM instance");
                 }
 
@@ -196,7 +208,7 @@ class DLMMAdapter {
      */
     async quoteExactIn({ inAmountLamports, swapForY, slippageBps = 50 }) {
         try {
-            await this.refresh(); // Fresh state before accurate quote
+            if (this.autoRefresh) await this.refresh(); // Fresh state before accurate quote
 
             const binArrays = await this.pool.getBinArrayForSwap(swapForY, 6);
 
@@ -221,6 +233,77 @@ class DLMMAdapter {
         }
     }
 
+    /**
+     * EXACT OUT: input needed for outAmountAtomic, same standard format plus maxInAmountRaw
+     * @param {string|number} outAmountAtomic
+     * @param {boolean} swapForY - true => X->Y
+     * @param {number} slippageBps - Applied to the input (maxInAmountRaw)
+     * Also accepts ({ outAmountAtomic, swapForY, slippageBps }).
+     */
+    async quoteExactOut(...args) {
+        const [outAmountAtomic, swapForY = true, slippageBps = 50] = unpackExactOutArgs(args);
+        try {
+            if (this.autoRefresh) await this.refresh();
+
+            const binArrays = await this.pool.getBinArrayForSwap(swapForY, 6);
+
+            const quote = this.pool.swapQuoteExactOut(
+                new BN(String(outAmountAtomic)),
+                swapForY,
+                new BN(slippageBps),
+                binArrays,
+                3
+            );
+
+            // inAmount already includes the swap fee; priceImpact is in percent here
+            const normalized = this._normalizeQuote(
+                {
+                    outAmount: quote.outAmount,
+                    minOutAmount: quote.outAmount,
+                    priceImpact: quote.priceImpact
+                },
+                quote.inAmount.toString(),
+                swapForY,
+                slippageBps,
+                binArrays
+            );
+            const inDecimals = swapForY ? this.tokenXDecimals : this.tokenYDecimals;
+
+            return {
+                ...normalized,
+                priceImpact: Number(quote.priceImpact.toString()) / 100,
+                maxInAmountRaw: quote.maxInAmount.toString(),
+                maxInAmountDecimal: Number(quote.maxInAmount.toString()) / Math.pow(10, inDecimals),
+                binArrays: (quote.binArraysPubkey || binArrays.map(ba => ba.publicKey)).map(k => k.toString()),
+                exactOut: true
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                dexType: "METEORA_DLMM",
+                poolAddress: this.poolAddress.toString()
+            };
+        }
+    }
+
+    /**
+     * Pool-level state quotes are computed from, as plain JSON (bin arrays are per quote, in quote.binArrays)
+     */
+    snapshotState() {
+        const lbPair = this.pool?.lbPair;
+        return {
+            activeId: lbPair?.activeId ?? null,
+            binStep: lbPair?.binStep ?? null,
+            reserveX: lbPair?.reserveX?.toString() ?? null,
+            reserveY: lbPair?.reserveY?.toString() ?? null,
+            feeBps: this.feeBps,
+            tokenXDecimals: this.tokenXDecimals,
+            tokenYDecimals: this.tokenYDecimals,
+        };
+    }
+
     /**
      * CRITICAL: Normalize DLMM quote to standard format
      * This is where you fix your decimal bugs
@@ -291,12 +374,15 @@ class DLMMAdapter {
         const outTokenMint = standardQuote.swapForY ? this.tokenYMint : this.tokenXMint;
         const binArraysPubkey = standardQuote.binArrays.map(addr => new PublicKey(addr));
 
-        console.log(`Building swap tx for ${inTokenMint.toBase58()} -> ${outTokenMint.toBase58()}...`)
-        console.log(`User: ${user}`);
-        console.log(JSON.stringify(standardQuote));
-        console.log(`inputAmount: ${standardQuote.inAmountRaw}, outputAmount: ${standardQuote.outAmountRaw}`);
-        console.log(`binArrays: ${JSON.stringify(binArraysPubkey)}`);
-        console.log('-------------------');
+        logger.debug('building swap tx', {
+            pool: this.poolAddress.toBase58(),
+            inMint: inTokenMint.toBase58(),
+            outMint: outTokenMint.toBase58(),
+            user: String(user),
+            inAmountRaw: standardQuote.inAmountRaw,
+            outAmountRaw: standardQuote.outAmountRaw,
+            binArrays: standardQuote.binArrays
+        });
 
         return await this.pool.swap({
             inToken: inTokenMint,
@@ -315,6 +401,17 @@ class DLMMAdapter {
 // Normalize to standard format
 module.exports = DLMMAdapter;
 
+registerAdapter('dlmm', DLMMAdapter, {
+    capabilities: [
+        CAPABILITIES.QUOTE_EXACT_IN,
+        CAPABILITIES.QUOTE_FAST_EXACT_IN,
+        CAPABILITIES.QUOTE_EXACT_OUT,
+        CAPABILITIES.REFRESH,
+        CAPABILITIES.BUILD_SWAP_TX,
+        CAPABILITIES.SNAPSHOT_STATE,
+    ]
+});
+
 if (require.main === module) {
     (async () => {
         const args = process.argv.slice(2);
@@ -378,22 +475,14 @@ if (require.main === module) {
             const exactQuote = await adapter.quoteExactIn({ inAmountLamports: Number(amount), swapForY: true });
             console.log('Exact Quote Result:', JSON.stringify(exactQuote, null, 2));
 
-            // Write to file
-            const output = {
+            // Write to file (schema-checked; nothing is written if the shape is off)
+            writeValidatedJson(outputFile, 'quoteReport', {
                 timestamp: new Date().toISOString(),
                 poolAddress,
-                amount,
+                amount: String(amount),
                 fastQuote,
                 exactQuote
-            };
-
-            // Ensure directory exists
-            const dir = outputFile.substring(0, outputFile.lastIndexOf('/'));
-            if (dir && !fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
-
-            fs.writeFileSync(outputFile, JSON.stringify(output, null, 2));
+            });
             console.log(`Quotes written to ${outputFile}`);
             process.exit(0);
         } catch (e) {
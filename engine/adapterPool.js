@@ -0,0 +1,254 @@
+'use strict';
+/**
+ * adapterPool.js - Long-lived adapters keyed by pool address
+ *
+ * Building an adapter is the expensive part of a quote (DLMM.create,
+ * Raydium.load), so each pool gets one adapter that lives across legs, sizes
+ * and scans. Before handing it out the pool checks the slot the adapter last
+ * saw; only when that is older than maxSlotAge does it call refresh().
+ *
+ * Pools whose init() keeps failing are evicted for evictionMs so a dead pool
+ * does not cost an RPC round-trip on every quote.
+ *
+ * With opts.metrics (metrics.AdapterMetrics) every init() and refresh() is
+ * timed per dex and pool.
+ */
+
+const { createAdapter, getAdapterEntry, hasCapability, CAPABILITIES } = require('./quoterRegistry');
+const { normalizeType, normalizeDex } = require('../utils/_utils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('adapters');
+
+class AdapterPool {
+    /**
+     * @param {Object} ctx - Engine context ({ connection, commitment })
+     * @param {Object} [opts]
+     * @param {number} [opts.maxSlotAge] - Refresh when the adapter's state is this many slots old (default 10)
+     * @param {number} [opts.slotTtlMs] - How long a getSlot() answer is reused (default 400)
+     * @param {number} [opts.maxInitFailures] - Consecutive init failures before eviction (default 3)
+     * @param {number} [opts.evictionMs] - How long an evicted pool is refused (default 60000)
+     * @param {number} [opts.maxSize] - Max cached adapters, least recently used dropped first (default 1000)
+     * @param {AdapterMetrics} [opts.metrics] - Records init/refresh latency and outcomes
+     * @param {Function} [opts.createAdapter] - (pool, ctx) => adapter, in place of the quoter registry
+     *   (e.g. mathQuoter.createMathAdapter for offline quoting)
+     */
+    constructor(ctx, opts = {}) {
+        this.ctx = ctx;
+        this.maxSlotAge = opts.maxSlotAge ?? 10;
+        this.slotTtlMs = opts.slotTtlMs ?? 400;
+        this.maxInitFailures = opts.maxInitFailures ?? 3;
+        this.evictionMs = opts.evictionMs ?? 60000;
+        this.maxSize = opts.maxSize ?? 1000;
+        this.metrics = opts.metrics || null;
+        this.createAdapter = opts.createAdapter || createAdapter;
+
+        this.entries = new Map();   // address -> { adapter, type, slot, ready }
+        this.failures = new Map();  // address -> { count, evictedUntil, lastError }
+        this._slot = { value: null, at: 0, pending: null };
+
+        this.stats = { hits: 0, misses: 0, inits: 0, initFailures: 0, refreshes: 0, refreshFailures: 0, evictions: 0 };
+    }
+
+    async currentSlot() {
+        const conn = this.ctx?.connection;
+        if (!conn || typeof conn.getSlot !== 'function') return null;
+
+        const now = Date.now();
+        if (this._slot.value != null && now - this._slot.at < this.slotTtlMs) return this._slot.value;
+        if (this._slot.pending) return this._slot.pending;
+
+        this._slot.pending = (async () => {
+            try {
+                const slot = await conn.getSlot(this.ctx.commitment);
+                this._slot.value = slot;
+                this._slot.at = Date.now();
+                return slot;
+            } catch (e) {
+                return this._slot.value;
+            } finally {
+                this._slot.pending = null;
+            }
+        })();
+        return this._slot.pending;
+    }
+
+    isEvicted(address) {
+        const f = this.failures.get(address);
+        if (!f || !f.evictedUntil) return false;
+        if (Date.now() < f.evictedUntil) return true;
+        this.failures.delete(address);
+        return false;
+    }
+
+    /**
+     * Initialised, fresh-enough adapter for the pool, or null if init failed / pool is evicted.
+     * Throws for pool types with no registered quoter.
+     */
+    async get(pool) {
+        const address = String(pool.poolAddress || pool.address);
+        if (this.isEvicted(address)) return null;
+
+        let entry = this.entries.get(address);
+        if (entry) {
+            this.stats.hits++;
+            // keep LRU order
+            this.entries.delete(address);
+            this.entries.set(address, entry);
+        } else {
+            this.stats.misses++;
+            entry = this._create(pool, address);
+            if (!entry) return null;
+        }
+
+        const adapter = await entry.ready;
+        if (!adapter) return null;
+
+        await this._refreshIfStale(address, entry);
+        return entry.adapter;
+    }
+
+    // Entry whose ready resolves to the initialised adapter (null on failure), or null when
+    // the constructor itself threw (e.g. a malformed pool address)
+    _create(pool, address) {
+        const type = normalizeType(pool);
+        // An unregistered type is a setup error, not a bad pool: let it throw
+        if (this.createAdapter === createAdapter) getAdapterEntry(type);
+        let adapter;
+        try {
+            adapter = this.createAdapter(pool, this.ctx);
+        } catch (e) {
+            this.stats.inits++;
+            this._recordInitFailure(address, e);
+            return null;
+        }
+        // The pool decides when state is refreshed
+        adapter.autoRefresh = false;
+
+        const labels = { dex: normalizeDex(pool), pool: address };
+        const entry = { adapter, type, labels, slot: null, ready: null, refreshing: null, stale: false, staleSlot: null };
+        entry.ready = (async () => {
+            this.stats.inits++;
+            try {
+                await this._timed('init', labels, () => adapter.init());
+                entry.slot = await this.currentSlot();
+                this.failures.delete(address);
+                return adapter;
+            } catch (e) {
+                this._recordInitFailure(address, e);
+                return null;
+            }
+        })();
+
+        this.entries.set(address, entry);
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return entry;
+    }
+
+    _timed(op, labels, fn) {
+        return this.metrics ? this.metrics.time(op, labels, fn) : fn();
+    }
+
+    _recordInitFailure(address, err) {
+        this.stats.initFailures++;
+        this.entries.delete(address);
+
+        const f = this.failures.get(address) || { count: 0, evictedUntil: 0, lastError: null };
+        f.count++;
+        f.lastError = err?.message || String(err);
+        logger.debug('adapter init failed', { pool: address, attempt: f.count, error: f.lastError });
+        if (f.count >= this.maxInitFailures) {
+            f.evictedUntil = Date.now() + this.evictionMs;
+            this.stats.evictions++;
+            logger.warn('pool evicted', { pool: address, failures: f.count, forMs: this.evictionMs, error: f.lastError });
+        }
+        this.failures.set(address, f);
+    }
+
+    async _refreshIfStale(address, entry) {
+        if (!hasCapability(entry.type, CAPABILITIES.REFRESH)) return;
+
+        // markStale(): an account change was seen, refresh whatever the slot age
+        const forced = entry.stale;
+        const slot = forced && entry.staleSlot != null ? entry.staleSlot : await this.currentSlot();
+        if (!forced) {
+            // Unknown slot: nothing to compare against, keep the current state
+            if (slot == null || entry.slot == null) {
+                if (entry.slot == null) entry.slot = slot;
+                return;
+            }
+            if (slot - entry.slot <= this.maxSlotAge) return;
+        }
+        if (entry.refreshing) return entry.refreshing;
+
+        // A markStale() arriving while this refresh runs sets stale again
+        entry.stale = false;
+        entry.staleSlot = null;
+        entry.refreshing = (async () => {
+            try {
+                await this._timed('refresh', entry.labels, () => entry.adapter.refresh());
+                entry.slot = slot;
+                this.stats.refreshes++;
+            } catch (e) {
+                this.stats.refreshFailures++;
+                logger.warn('adapter refresh failed, dropping it', { pool: address, error: e });
+                this.entries.delete(address);
+                entry.adapter = null;
+            } finally {
+                entry.refreshing = null;
+            }
+        })();
+        return entry.refreshing;
+    }
+
+    // Slot of the state the pool's adapter is quoting from (null if unknown or not cached)
+    slotOf(address) {
+        return this.entries.get(String(address))?.slot ?? null;
+    }
+
+    // Cached adapter without init, refresh or LRU bookkeeping (null if not cached)
+    peek(address) {
+        return this.entries.get(String(address))?.adapter ?? null;
+    }
+
+    /**
+     * The pool's on-chain state changed (e.g. an account subscription fired).
+     * Refreshable adapters refresh on their next use and are stamped with `slot`;
+     * the others quote from the pool record they were built with, so they are dropped
+     * and rebuilt from the updated record.
+     * @returns {boolean} Whether a cached adapter was affected
+     */
+    markStale(address, slot = null) {
+        const entry = this.entries.get(String(address));
+        if (!entry) return false;
+        if (!hasCapability(entry.type, CAPABILITIES.REFRESH)) return this.invalidate(address);
+        entry.stale = true;
+        entry.staleSlot = slot;
+        return true;
+    }
+
+    invalidate(address) {
+        return this.entries.delete(String(address));
+    }
+
+    clear() {
+        this.entries.clear();
+        this.failures.clear();
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            evicted: [...this.failures.values()].filter(f => f.evictedUntil > Date.now()).length,
+        };
+    }
+
+    resetStats() {
+        for (const k of Object.keys(this.stats)) this.stats[k] = 0;
+    }
+}
+
+module.exports = { AdapterPool };
@@ -0,0 +1,329 @@
+'use strict';
+/**
+ * backtester.js - Replay the scanner over historical pool snapshots
+ *
+ * Input is a directory of enriched pool files as written by _enrich_reserves.js
+ * ({ schemaVersion, kind: 'pools', generatedAt, pools }; bare pool arrays are
+ * accepted too). Snapshots are ordered by generatedAt, falling back to a
+ * timestamp in the file name and then the file's mtime.
+ *
+ * Every snapshot gets its own engine quoting with mathQuoter.js only, so no
+ * RPC is touched and a snapshot is evaluated against its own reserves. Its
+ * triangles are enumerated from the anchors, scanned in both directions, and
+ * every result that clears the cost model (net of network, rent and flashloan
+ * costs, with a feasible minOut chain) counts as an opportunity.
+ *
+ * An opportunity is the same pools in the same direction, whatever the start
+ * mint. It opens on the first snapshot it shows up in and closes on the first
+ * one it is missing from; the time in between is its persistence. PnL assumes
+ * one execution per opportunity, at the net profit seen when it opened.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { D, TOKENS } = require('../utils/_utils');
+const { createEngine } = require('./triArbitrage');
+const { enumerateTriangles } = require('./triangleGraph');
+const { buildPriceOracle } = require('./priceOracle');
+const { createMathAdapter } = require('./mathQuoter');
+const { clearsMinNetProfit } = require('./costModel');
+const { opportunityKey } = require('./opportunityTracker');
+const { writeValidatedJson } = require('./schema');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('backtest');
+
+// Snapshots are quoted from their own reserves; any RPC use is a bug
+const OFFLINE_CONNECTION = Object.freeze({ rpcEndpoint: 'backtest://offline' });
+
+// 2026-01-12T16-20-21Z, 20260112T162021, 20260112-162021 or epoch ms/s in the file name
+function timestampFromName(name) {
+    const iso = name.match(/(\d{4})-?(\d{2})-?(\d{2})[T_-]?(\d{2})[:-]?(\d{2})[:-]?(\d{2})/);
+    if (iso) {
+        const [, y, mo, d, h, mi, s] = iso;
+        const t = Date.parse(`${y}-${mo}-${d}T${h}:${mi}:${s}Z`);
+        if (Number.isFinite(t)) return t;
+    }
+    const epoch = name.match(/(?:^|\D)(\d{10}|\d{13})(?:\D|$)/);
+    if (epoch) return epoch[1].length === 13 ? Number(epoch[1]) : Number(epoch[1]) * 1000;
+    return null;
+}
+
+/**
+ * Pool snapshot files in a directory, oldest first.
+ * @param {string} dir
+ * @returns {Array<{ file: string, timestamp: number, pools: Object[] }>}
+ */
+function loadSnapshots(dir) {
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+    const out = [];
+    for (const name of files) {
+        const file = path.join(dir, name);
+        let doc;
+        try {
+            doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            logger.warn('skipping unreadable snapshot', { file, error: e });
+            continue;
+        }
+        const pools = Array.isArray(doc) ? doc : doc?.pools;
+        if (!Array.isArray(pools)) {
+            logger.warn('skipping file without pools', { file, kind: doc?.kind });
+            continue;
+        }
+        const fromDoc = doc.generatedAt ? Date.parse(doc.generatedAt) : NaN;
+        const timestamp = Number.isFinite(fromDoc)
+            ? fromDoc
+            : (timestampFromName(name) ?? fs.statSync(file).mtimeMs);
+        out.push({ file, timestamp, pools });
+    }
+    return out.sort((a, b) => a.timestamp - b.timestamp || a.file.localeCompare(b.file));
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const s = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(s.length / 2);
+    return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * Evaluate one snapshot.
+ * @returns {Promise<Object>} { stats, opportunities: route results that clear the cost model }
+ */
+async function evaluateSnapshot(snapshot, opts) {
+    const { anchors, notionalUsd, dxAtomic, maxTriangles, costs, slippage, maxProfitPct, minNetProfitUsd } = opts;
+
+    const priceOracle = buildPriceOracle(snapshot.pools);
+    const engine = createEngine({
+        connection: OFFLINE_CONNECTION,
+        adapterPool: { createAdapter: createMathAdapter },
+        priceOracle,
+        costs,
+        slippage,
+        maxProfitPct
+    });
+
+    const triangles = await enumerateTriangles(snapshot.pools, { anchors, limit: maxTriangles });
+    const { ranked, summary } = await engine.scanTriangles(triangles, {
+        dxAtomic,
+        notionalUsd,
+        anchors,
+        priceOracle,
+        timeoutMs: 0
+    });
+
+    const opportunities = ranked.filter(r => clearsMinNetProfit(r.costs, costs)
+        && r.slippage?.ok
+        && (minNetProfitUsd == null || (r.netProfitUsd != null && r.netProfitUsd >= minNetProfitUsd)));
+
+    return {
+        stats: {
+            file: path.basename(snapshot.file),
+            timestamp: new Date(snapshot.timestamp).toISOString(),
+            pools: snapshot.pools.length,
+            triangles: triangles.length,
+            evaluated: summary.total - summary.duplicates,
+            ok: summary.ok,
+            failed: summary.failed,
+            reasons: summary.reasons,
+            opportunities: opportunities.length,
+            netProfitUsd: opportunities.reduce((s, r) => s + (r.netProfitUsd || 0), 0),
+        },
+        opportunities,
+    };
+}
+
+/**
+ * @param {Object} params
+ * @param {string} [params.dir] - Snapshot directory (or pass params.snapshots)
+ * @param {Array} [params.snapshots] - loadSnapshots() output
+ * @param {string[]} [params.anchors] - Start mints for enumeration and scanning (default SOL, USDC)
+ * @param {number} [params.notionalUsd] - Start amount per anchor in USD (default 1000)
+ * @param {string|Object|Function} [params.dxAtomic] - Start amounts, as in scanTriangles (overrides notionalUsd per mint)
+ * @param {number} [params.maxTriangles] - Best-pre-scored triangles scanned per snapshot (default 500)
+ * @param {Object} [params.costs] - Cost model config; minNetProfitAtomic is the opportunity threshold
+ * @param {Object} [params.slippage] - Route slippage budget
+ * @param {number} [params.maxProfitPct] - Unrealistic-profit threshold
+ * @param {number} [params.minNetProfitUsd] - Extra threshold on netProfitUsd (results the oracle cannot price then never count)
+ * @returns {Promise<Object>} { params, snapshots, opportunities, summary }
+ */
+async function runBacktest(params = {}) {
+    const opts = {
+        anchors: params.anchors || [TOKENS.SOL, TOKENS.USDC],
+        notionalUsd: params.notionalUsd ?? 1000,
+        dxAtomic: params.dxAtomic ?? null,
+        maxTriangles: params.maxTriangles ?? 500,
+        costs: params.costs || null,
+        slippage: params.slippage || null,
+        maxProfitPct: params.maxProfitPct ?? null,
+        minNetProfitUsd: params.minNetProfitUsd ?? null,
+    };
+    const snapshots = params.snapshots || loadSnapshots(params.dir);
+    if (snapshots.length === 0) throw new Error(`runBacktest: no pool snapshots in ${params.dir}`);
+
+    const open = new Map();  // key -> episode still present in the previous snapshot
+    const episodes = [];
+    const perSnapshot = [];
+
+    for (const snapshot of snapshots) {
+        const { stats, opportunities } = await evaluateSnapshot(snapshot, opts);
+        perSnapshot.push(stats);
+        logger.info('snapshot', {
+            file: stats.file,
+            timestamp: stats.timestamp,
+            triangles: stats.triangles,
+            ok: stats.ok,
+            opportunities: stats.opportunities
+        });
+
+        const seen = new Set();
+        for (const r of opportunities) {
+            const key = opportunityKey(r);
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            let ep = open.get(key);
+            if (!ep) {
+                ep = {
+                    key,
+                    pools: r.pools,
+                    mints: r.mints,
+                    startMint: r.startMint,
+                    firstSeen: snapshot.timestamp,
+                    lastSeen: snapshot.timestamp,
+                    goneAt: null,
+                    snapshots: 0,
+                    entryNetProfitUsd: r.netProfitUsd,
+                    entryNetProfitPct: r.netProfitPct,
+                    bestNetProfitUsd: r.netProfitUsd,
+                };
+                open.set(key, ep);
+                episodes.push(ep);
+            }
+            ep.lastSeen = snapshot.timestamp;
+            ep.snapshots++;
+            if (r.netProfitUsd != null && (ep.bestNetProfitUsd == null || r.netProfitUsd > ep.bestNetProfitUsd)) {
+                ep.bestNetProfitUsd = r.netProfitUsd;
+            }
+        }
+        for (const [key, ep] of open) {
+            if (seen.has(key)) continue;
+            ep.goneAt = snapshot.timestamp;
+            open.delete(key);
+        }
+    }
+
+    const opportunities = episodes.map(ep => ({
+        ...ep,
+        firstSeen: new Date(ep.firstSeen).toISOString(),
+        lastSeen: new Date(ep.lastSeen).toISOString(),
+        goneAt: ep.goneAt != null ? new Date(ep.goneAt).toISOString() : null,
+        // Seen-to-last-seen; goneAt bounds it from above
+        persistenceMs: ep.lastSeen - ep.firstSeen,
+        open: ep.goneAt == null,
+    }));
+
+    const persistence = opportunities.map(o => o.persistenceMs);
+    const priced = opportunities.filter(o => o.entryNetProfitUsd != null);
+    const byAnchor = {};
+    for (const o of opportunities) {
+        const a = (byAnchor[o.startMint] ||= { opportunities: 0, pnlUsd: 0 });
+        a.opportunities++;
+        a.pnlUsd += o.entryNetProfitUsd || 0;
+    }
+
+    return {
+        params: {
+            quoter: 'math',
+            anchors: opts.anchors,
+            notionalUsd: opts.notionalUsd,
+            maxTriangles: opts.maxTriangles,
+            minNetProfitAtomic: opts.costs?.minNetProfitAtomic ?? null,
+            minNetProfitUsd: opts.minNetProfitUsd,
+        },
+        snapshots: perSnapshot,
+        opportunities,
+        summary: {
+            snapshots: snapshots.length,
+            from: perSnapshot[0].timestamp,
+            to: perSnapshot[perSnapshot.length - 1].timestamp,
+            opportunities: opportunities.length,
+            snapshotsWithOpportunities: perSnapshot.filter(s => s.opportunities > 0).length,
+            pnlUsd: priced.reduce((s, o) => s + o.entryNetProfitUsd, 0),
+            unpricedOpportunities: opportunities.length - priced.length,
+            medianPersistenceMs: median(persistence),
+            maxPersistenceMs: persistence.length ? Math.max(...persistence) : null,
+            byAnchor,
+        },
+    };
+}
+
+module.exports = {
+    loadSnapshots,
+    runBacktest,
+    opportunityKey,
+};
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(args) {
+    const opts = { dir: null, output: null, anchors: null, notionalUsd: 1000, maxTriangles: 500, minNetProfitUsd: null };
+    for (const arg of args) {
+        if (arg.startsWith('--')) {
+            const [key, val] = arg.slice(2).split('=');
+            switch (key) {
+                case 'output': opts.output = val; break;
+                case 'anchors': opts.anchors = val.split(',').map(a => TOKENS[a.toUpperCase()] || a); break;
+                case 'notional-usd': opts.notionalUsd = Number(val); break;
+                case 'max-triangles': opts.maxTriangles = parseInt(val); break;
+                case 'min-net-usd': opts.minNetProfitUsd = Number(val); break;
+            }
+        } else if (!opts.dir) {
+            opts.dir = arg;
+        }
+    }
+    return opts;
+}
+
+if (require.main === module) {
+    (async () => {
+        const opts = parseArgs(process.argv.slice(2));
+        if (!opts.dir) {
+            console.log('Usage: node engine/backtester.js <snapshotDir> [options]');
+            console.log('\nOptions:');
+            console.log('  --output=<file>        Write the report (kind backtestReport)');
+            console.log('  --anchors=SOL,USDC     Start mints, symbols or addresses (default SOL,USDC)');
+            console.log('  --notional-usd=<n>     Start amount per anchor in USD (default 1000)');
+            console.log('  --max-triangles=<n>    Triangles scanned per snapshot (default 500)');
+            console.log('  --min-net-usd=<n>      Only count opportunities netting at least this much');
+            process.exit(1);
+        }
+
+        const report = await runBacktest(opts);
+        const s = report.summary;
+        console.log(`${s.snapshots} snapshots from ${s.from} to ${s.to}`);
+        for (const snap of report.snapshots) {
+            console.log(`  ${snap.timestamp}  ${String(snap.triangles).padStart(5)} triangles  ${String(snap.ok).padStart(5)} ok  ${String(snap.opportunities).padStart(4)} opportunities  $${snap.netProfitUsd.toFixed(2)}`);
+        }
+        console.log(`${s.opportunities} opportunities in ${s.snapshotsWithOpportunities} snapshots, PnL after costs $${s.pnlUsd.toFixed(2)}`
+            + (s.unpricedOpportunities ? ` (+${s.unpricedOpportunities} unpriced)` : ''));
+        if (s.opportunities) {
+            console.log(`persistence: median ${(s.medianPersistenceMs / 1000).toFixed(0)}s, max ${(s.maxPersistenceMs / 1000).toFixed(0)}s`);
+            for (const o of [...report.opportunities].sort((a, b) => (b.entryNetProfitUsd || 0) - (a.entryNetProfitUsd || 0)).slice(0, 10)) {
+                const usd = o.entryNetProfitUsd != null ? `$${o.entryNetProfitUsd.toFixed(2)}` : '$?';
+                console.log(`  ${usd.padStart(10)}  ${o.snapshots} snapshot(s)  ${D(o.entryNetProfitPct).toFixed(4)}%  ${o.key}`);
+            }
+        }
+
+        if (opts.output) {
+            writeValidatedJson(opts.output, 'backtestReport', report);
+            console.log(`Wrote report to ${opts.output}`);
+        }
+    })().catch(e => {
+        console.error(e.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,148 @@
+'use strict';
+/**
+ * costModel.js - What a route costs to land, in the start token
+ *
+ * Gross profit (outA - dxA) ignores everything paid outside the swaps:
+ *   - base fee: LAMPORTS_PER_SIGNATURE per signature
+ *   - priority fee: unitLimit * unitPriceMicroLamports / 1e6, the same
+ *     computeBudget that addComputeBudgetIxs puts on the transaction
+ *   - rent for associated token accounts the route has to create
+ *   - the flashloan provider's fee on the borrowed amount
+ * Lamport costs are converted into the start token through the price oracle
+ * (exactly, when the route starts in SOL).
+ */
+
+const { D, Decimal, TOKENS } = require('../utils/_utils');
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+// Rent-exempt minimum for a 165-byte SPL token account
+const ATA_RENT_LAMPORTS = 2039280;
+const SOL_DECIMALS = 9;
+
+const DEFAULT_COSTS = Object.freeze({
+    signatures: 1,
+    computeBudget: Object.freeze({ unitLimit: 400000, unitPriceMicroLamports: 0 }),
+    flashloanFeeBps: 0,
+    existingAtaMints: null,
+    minNetProfitAtomic: '0',
+});
+
+/**
+ * @param {Object} [costs] - Overrides for DEFAULT_COSTS
+ * @param {number} [costs.signatures] - Signatures on the transaction
+ * @param {Object} [costs.computeBudget] - { unitLimit, unitPriceMicroLamports } as passed to addComputeBudgetIxs
+ * @param {number} [costs.flashloanFeeBps] - Provider fee on the loan amount
+ * @param {Iterable<string>} [costs.existingAtaMints] - Mints the payer already holds an ATA for;
+ *   every other route mint pays ATA rent. null assumes all ATAs exist.
+ * @param {string} [costs.minNetProfitAtomic] - Execution threshold in the start token
+ */
+function resolveCosts(costs = null) {
+    const c = { ...DEFAULT_COSTS, ...(costs || {}) };
+    c.computeBudget = { ...DEFAULT_COSTS.computeBudget, ...(costs?.computeBudget || {}) };
+    if (c.existingAtaMints && !(c.existingAtaMints instanceof Set)) {
+        c.existingAtaMints = new Set(c.existingAtaMints);
+    }
+    return c;
+}
+
+function priorityFeeLamports({ unitLimit, unitPriceMicroLamports } = {}) {
+    if (unitLimit == null || unitPriceMicroLamports == null) return D(0);
+    return D(unitLimit).mul(unitPriceMicroLamports).div(1e6).ceil();
+}
+
+// lamports -> atomic start token, or null if the oracle cannot price both sides
+function lamportsToStartAtomic(lamports, startMint, startDecimals, priceOracle) {
+    if (startMint === TOKENS.SOL) return D(lamports);
+    if (!priceOracle || startDecimals == null) return null;
+
+    const solUsd = priceOracle.priceUsd(TOKENS.SOL);
+    const startUsd = priceOracle.priceUsd(startMint);
+    if (!solUsd || !startUsd) return null;
+
+    return D(lamports)
+        .div(D(10).pow(SOL_DECIMALS))
+        .mul(solUsd)
+        .div(startUsd)
+        .mul(D(10).pow(startDecimals))
+        .toDecimalPlaces(0, Decimal.ROUND_CEIL);
+}
+
+/**
+ * Cost breakdown and net profit for a simulated route.
+ *
+ * @param {Object} params
+ * @param {string[]} params.mints - Input mint of each hop; mints[0] is the start token
+ * @param {string} params.dxAtomic - Loan / input amount of the start token
+ * @param {string} params.profitAtomic - Gross profit in the start token
+ * @param {number} params.startDecimals - Decimals of the start token
+ * @param {PriceOracle} [params.priceOracle] - Needed unless the route starts in SOL
+ * @param {Object} [params.costs] - See resolveCosts
+ * @returns {Object} { ok, baseFeeLamports, priorityFeeLamports, rentLamports, networkLamports,
+ *   networkCostAtomic, flashloanFeeAtomic, totalCostAtomic, netProfitAtomic, netProfitPct, reason? }
+ */
+function estimateRouteCosts({ mints, dxAtomic, profitAtomic, startDecimals, priceOracle = null, costs = null }) {
+    const c = resolveCosts(costs);
+    const startMint = mints[0];
+
+    const baseFee = D(c.signatures).mul(LAMPORTS_PER_SIGNATURE);
+    const priorityFee = priorityFeeLamports(c.computeBudget);
+    const missingAtas = c.existingAtaMints
+        ? new Set(mints.filter(m => !c.existingAtaMints.has(m))).size
+        : 0;
+    const rent = D(missingAtas).mul(ATA_RENT_LAMPORTS);
+    const networkLamports = baseFee.plus(priorityFee).plus(rent);
+
+    const flashloanFee = D(dxAtomic).mul(c.flashloanFeeBps).div(1e4).ceil();
+
+    const breakdown = {
+        baseFeeLamports: baseFee.toString(),
+        priorityFeeLamports: priorityFee.toString(),
+        rentLamports: rent.toString(),
+        atasToCreate: missingAtas,
+        networkLamports: networkLamports.toString(),
+        flashloanFeeAtomic: flashloanFee.toString(),
+    };
+
+    const networkCost = lamportsToStartAtomic(networkLamports, startMint, startDecimals, priceOracle);
+    if (networkCost == null) {
+        return {
+            ok: false,
+            reason: 'network-cost-unpriced',
+            ...breakdown,
+            networkCostAtomic: null,
+            totalCostAtomic: null,
+            netProfitAtomic: null,
+            netProfitPct: null,
+        };
+    }
+
+    const total = networkCost.plus(flashloanFee);
+    const net = D(profitAtomic).minus(total);
+    return {
+        ok: true,
+        ...breakdown,
+        networkCostAtomic: networkCost.toString(),
+        totalCostAtomic: total.toString(),
+        netProfitAtomic: net.toString(),
+        netProfitPct: net.div(D(dxAtomic)).mul(100).toString(),
+    };
+}
+
+/**
+ * Execution gate: true only when net profit is known and clears the minimum.
+ */
+function clearsMinNetProfit(costResult, costs = null) {
+    if (!costResult?.ok || costResult.netProfitAtomic == null) return false;
+    const min = D(resolveCosts(costs).minNetProfitAtomic);
+    return D(costResult.netProfitAtomic).gt(0) && D(costResult.netProfitAtomic).gte(min);
+}
+
+module.exports = {
+    LAMPORTS_PER_SIGNATURE,
+    ATA_RENT_LAMPORTS,
+    DEFAULT_COSTS,
+    resolveCosts,
+    priorityFeeLamports,
+    estimateRouteCosts,
+    clearsMinNetProfit,
+};
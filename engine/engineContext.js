@@ -0,0 +1,73 @@
+'use strict';
+/**
+ * engineContext.js - Connection + RPC settings shared by the engine
+ *
+ * One context is created up front and threaded through simulateLeg, the
+ * adapters and fetchDecimals, instead of every quote opening its own
+ * Connection. Any object with the Connection methods the adapters call
+ * (getParsedAccountInfo, getMultipleAccountsInfo, ...) can stand in, which
+ * is how a local fake is plugged in.
+ */
+
+const { Connection } = require('@solana/web3.js');
+
+const DEFAULT_RPC_URL = 'https://api.mainnet-beta.solana.com';
+
+/**
+ * @param {Object} [opts]
+ * @param {Connection} [opts.connection] - Existing connection (or a fake); built from rpcUrl when omitted
+ * @param {string} [opts.rpcUrl] - RPC endpoint (default: RPC_URL env, then mainnet-beta)
+ * @param {string} [opts.commitment] - Commitment for reads (default 'confirmed')
+ * @param {Object} [opts.rpcOptions] - Extra ConnectionConfig fields (wsEndpoint, httpHeaders, fetch, ...)
+ * @returns {{ connection: Connection, rpcUrl: string|null, commitment: string, rpcOptions: Object }}
+ */
+function createEngineContext({ connection = null, rpcUrl = null, commitment = 'confirmed', rpcOptions = {} } = {}) {
+    if (connection) {
+        return {
+            connection,
+            rpcUrl: rpcUrl || connection.rpcEndpoint || null,
+            commitment,
+            rpcOptions,
+        };
+    }
+
+    const url = rpcUrl || process.env.RPC_URL || DEFAULT_RPC_URL;
+    return {
+        connection: new Connection(url, { commitment, ...rpcOptions }),
+        rpcUrl: url,
+        commitment,
+        rpcOptions,
+    };
+}
+
+let defaultContext = null;
+
+function getDefaultEngineContext() {
+    if (!defaultContext) defaultContext = createEngineContext();
+    return defaultContext;
+}
+
+// Context wrapped around each bare Connection, so engine state keyed by the
+// context (adapter pool, quote cache, ...) lives as long as the connection
+const connectionContexts = new WeakMap();
+
+/**
+ * Accept a context, a bare Connection, or nothing (shared default context).
+ */
+function resolveEngineContext(ctxOrConnection) {
+    if (!ctxOrConnection) return getDefaultEngineContext();
+    if (ctxOrConnection.connection) return ctxOrConnection;
+    let ctx = connectionContexts.get(ctxOrConnection);
+    if (!ctx) {
+        ctx = createEngineContext({ connection: ctxOrConnection });
+        connectionContexts.set(ctxOrConnection, ctx);
+    }
+    return ctx;
+}
+
+module.exports = {
+    DEFAULT_RPC_URL,
+    createEngineContext,
+    getDefaultEngineContext,
+    resolveEngineContext,
+};
@@ -0,0 +1,166 @@
+'use strict';
+/**
+ * legSplitter.js - Divide one leg's input across several same-pair pools
+ *
+ * A big leg through a single pool pays that pool's price impact on the whole
+ * amount. Spreading it over every pool for the pair (DLMM, CLMM, CPMM) lets
+ * each one take the share where its marginal output is best.
+ *
+ * The input is cut into `steps` equal chunks and each chunk goes to the pool
+ * whose output grows the most from it. AMM output is concave in the input,
+ * so this greedy fill is optimal up to the chunk size. A pool that fails to
+ * quote simply stops receiving chunks.
+ *
+ * Quotes come from any adapter exposing quoteExactIn({ inAmountLamports, swapForY });
+ * engine.quoter(pool) shares the engine's quote cache.
+ *
+ * expandSplitLeg() turns a split leg back into one hop per pool, so the
+ * execution builders emit one swap instruction per pool.
+ */
+
+const { D, Decimal } = require('../utils/_utils');
+
+function poolAddressOf(pool) {
+    return pool?.poolAddress || pool?.address || null;
+}
+
+/**
+ * @param {Object} params
+ * @param {Array<{ adapter: Object, pool?: Object, swapForY: boolean }>} params.quoters - One per same-pair pool
+ * @param {string} params.dxAtomic - Total leg input
+ * @param {number} [params.steps] - Number of chunks the input is divided into (default 10)
+ * @returns {Promise<Object>} { ok, dxAtomic, dyAtomic, splits: [{ index, poolAddress, dxAtomic, dyAtomic, shareBps, quote }],
+ *   bestSingle: { index, poolAddress, dyAtomic }, improvementBps, quotesUsed, reason? }
+ */
+async function splitLeg({ quoters, dxAtomic, steps = 10 }) {
+    if (!Array.isArray(quoters) || quoters.length === 0) return { ok: false, reason: 'missing-quoters' };
+    if (!quoters.every(q => q?.adapter && typeof q.adapter.quoteExactIn === 'function')) {
+        return { ok: false, reason: 'adapter-without-quoteExactIn' };
+    }
+
+    const dx = D(dxAtomic).floor();
+    if (!dx.gt(0)) return { ok: false, reason: 'dxAtomic <= 0' };
+
+    const n = Math.max(1, Math.min(Math.floor(Number(steps) || 1), dx.toNumber()));
+    const chunk = dx.div(n).floor();
+    // The last chunk absorbs the rounding remainder
+    const chunkAt = (k) => (k === n - 1 ? dx.minus(chunk.mul(n - 1)) : chunk);
+
+    let quotesUsed = 0;
+    const memo = quoters.map(() => new Map()); // amount -> quote | null
+
+    async function quoteAt(i, amount) {
+        const key = amount.toFixed(0);
+        if (memo[i].has(key)) return memo[i].get(key);
+        let q;
+        try {
+            q = await quoters[i].adapter.quoteExactIn({ inAmountLamports: key, swapForY: quoters[i].swapForY });
+        } catch (e) {
+            q = null;
+        }
+        quotesUsed++;
+        const ok = q && q.success && D(q.outAmountRaw || 0).gt(0);
+        memo[i].set(key, ok ? q : null);
+        return ok ? q : null;
+    }
+
+    const alloc = quoters.map(() => D(0));
+    const outs = quoters.map(() => D(0));
+    const dead = new Set();
+
+    for (let k = 0; k < n; k++) {
+        const size = chunkAt(k);
+        let best = null;
+        for (let i = 0; i < quoters.length; i++) {
+            if (dead.has(i)) continue;
+            const q = await quoteAt(i, alloc[i].plus(size));
+            if (!q) { dead.add(i); continue; }
+            const gain = D(q.outAmountRaw).minus(outs[i]);
+            if (!best || gain.gt(best.gain)) best = { i, gain, out: D(q.outAmountRaw) };
+        }
+        if (!best) return { ok: false, reason: 'all-quotes-failed', quotesUsed };
+        alloc[best.i] = alloc[best.i].plus(size);
+        outs[best.i] = best.out;
+    }
+
+    // Same full amount through one pool, for comparison (usually already memoized)
+    let bestSingle = null;
+    for (let i = 0; i < quoters.length; i++) {
+        const q = dead.has(i) ? null : await quoteAt(i, dx);
+        if (q && (!bestSingle || D(q.outAmountRaw).gt(bestSingle.dyAtomic))) {
+            bestSingle = { index: i, poolAddress: poolAddressOf(quoters[i].pool), dyAtomic: String(q.outAmountRaw) };
+        }
+    }
+
+    const splits = [];
+    let total = D(0);
+    for (let i = 0; i < quoters.length; i++) {
+        if (!alloc[i].gt(0)) continue;
+        total = total.plus(outs[i]);
+        splits.push({
+            index: i,
+            poolAddress: poolAddressOf(quoters[i].pool),
+            dxAtomic: alloc[i].toFixed(0),
+            dyAtomic: outs[i].toFixed(0),
+            shareBps: alloc[i].div(dx).mul(1e4).toDecimalPlaces(0).toNumber(),
+            quote: memo[i].get(alloc[i].toFixed(0)),
+        });
+    }
+
+    return {
+        ok: true,
+        dxAtomic: dx.toFixed(0),
+        dyAtomic: total.toFixed(0),
+        splits,
+        bestSingle,
+        improvementBps: bestSingle && D(bestSingle.dyAtomic).gt(0)
+            ? total.div(bestSingle.dyAtomic).minus(1).mul(1e4).toNumber()
+            : null,
+        quotesUsed,
+    };
+}
+
+/**
+ * One execution hop per pool of a split leg. amountIn and minOut of the leg
+ * (e.g. from allocateSlippage) are shared out in proportion to the simulated
+ * split, so the hops together never need more than the leg's input and
+ * return at least its minOut (up to rounding of one atomic unit per hop).
+ *
+ * @param {Object} leg - Route leg with { split: true, splits, dxAtomic, dyAtomic, amountInAtomic?, minOutAtomic? }
+ * @returns {Object[]} Hops with { poolAddress, dexType?, amountInAtomic, minOutAtomic, ... }; [leg] for a normal leg
+ */
+function expandSplitLeg(leg) {
+    if (!leg?.split || !Array.isArray(leg.splits)) return [leg];
+
+    const simIn = D(leg.dxAtomic);
+    const simOut = D(leg.dyAtomic);
+    const amountIn = D(leg.amountInAtomic ?? leg.dxAtomic);
+    const minOut = leg.minOutAtomic != null ? D(leg.minOutAtomic) : null;
+
+    let inLeft = amountIn;
+    return leg.splits.map((s, i) => {
+        const last = i === leg.splits.length - 1;
+        const hopIn = last ? inLeft : amountIn.mul(s.dxAtomic).div(simIn).floor();
+        inLeft = inLeft.minus(hopIn);
+        const hopMinOut = minOut ? minOut.mul(s.dyAtomic).div(simOut).toDecimalPlaces(0, Decimal.ROUND_CEIL) : null;
+
+        const { splits, split, ...rest } = leg;
+        return {
+            ...rest,
+            poolAddress: s.poolAddress,
+            type: s.type ?? rest.type,
+            dex: s.dex ?? rest.dex,
+            via: s.via ?? rest.via,
+            binArrays: s.binArrays,
+            dxAtomic: s.dxAtomic,
+            dyAtomic: s.dyAtomic,
+            amountInAtomic: hopIn.toFixed(0),
+            minOutAtomic: hopMinOut ? hopMinOut.toFixed(0) : leg.minOutAtomic,
+        };
+    });
+}
+
+module.exports = {
+    splitLeg,
+    expandSplitLeg,
+};
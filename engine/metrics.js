@@ -0,0 +1,266 @@
+'use strict';
+/**
+ * metrics.js - Latency histograms and outcome counters for adapter calls
+ *
+ * Every adapter init, refresh and (uncached) quote is timed and recorded per
+ * dex and per pool, together with success/failure and a short failure reason.
+ * toPrometheus() renders the Prometheus text exposition format, so a snapshot
+ * can be written next to the scanner's output (writePrometheusFile) or scraped
+ * from a local endpoint (serveMetrics).
+ *
+ * Per-pool series are capped at maxPools; later pools are folded into
+ * pool="other" so a large pool file cannot blow up the label set.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('metrics');
+
+const DEFAULT_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// 'No quoter registered for pool type 'x' (registered: ...)' -> 'No quoter registered for pool type'
+// 'DLMM init failed for 5SHj...' -> 'DLMM init failed for <address>' (the pool is already a label)
+function failureReason(err) {
+    const msg = String(err?.message ?? err ?? 'unknown').replace(/[1-9A-HJ-NP-Za-km-z]{32,44}/g, '<address>');
+    const short = msg.replace(/\s*['"(:].*$/s, '').trim();
+    // '|' separates the label values in the series keys
+    return (short || msg).replace(/\|/g, '/').slice(0, 80);
+}
+
+function escapeLabel(v) {
+    return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+class Histogram {
+    constructor(buckets) {
+        this.buckets = buckets;
+        this.counts = new Array(buckets.length).fill(0); // non-cumulative
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(v) {
+        this.sum += v;
+        this.count++;
+        const i = this.buckets.findIndex(b => v <= b);
+        if (i >= 0) this.counts[i]++;
+    }
+
+    // Upper bound of the bucket holding quantile q (Infinity past the last bucket)
+    quantile(q) {
+        if (this.count === 0) return null;
+        const target = q * this.count;
+        let acc = 0;
+        for (let i = 0; i < this.buckets.length; i++) {
+            acc += this.counts[i];
+            if (acc >= target) return this.buckets[i];
+        }
+        return Infinity;
+    }
+}
+
+class AdapterMetrics {
+    /**
+     * @param {Object} [opts]
+     * @param {number[]} [opts.bucketsMs] - Histogram upper bounds in ms (default DEFAULT_BUCKETS_MS)
+     * @param {boolean} [opts.perPool] - Keep per-pool series (default true)
+     * @param {number} [opts.maxPools] - Distinct pools with their own series (default 500)
+     */
+    constructor(opts = {}) {
+        this.bucketsMs = opts.bucketsMs || DEFAULT_BUCKETS_MS;
+        this.perPool = opts.perPool ?? true;
+        this.maxPools = opts.maxPools ?? 500;
+        this.reset();
+    }
+
+    reset() {
+        this.byDex = new Map();     // 'op|dex' -> Histogram
+        this.byPool = new Map();    // 'op|dex|pool' -> Histogram
+        this.outcomes = new Map();  // 'op|dex|result' -> count
+        this.failures = new Map();  // 'op|dex|reason' -> count
+        this.pools = new Set();
+    }
+
+    _poolLabel(pool) {
+        if (!pool) return 'unknown';
+        if (this.pools.has(pool)) return pool;
+        if (this.pools.size >= this.maxPools) return 'other';
+        this.pools.add(pool);
+        return pool;
+    }
+
+    _histogram(map, key) {
+        let h = map.get(key);
+        if (!h) {
+            h = new Histogram(this.bucketsMs);
+            map.set(key, h);
+        }
+        return h;
+    }
+
+    /**
+     * Record one call.
+     * @param {string} op - 'init', 'refresh', 'quote', 'quote_exact_out'
+     * @param {Object} labels - { dex, pool }
+     * @param {number} ms - Wall time of the call
+     * @param {boolean} ok
+     * @param {*} [error] - Error or message when !ok
+     */
+    observe(op, { dex = 'unknown', pool = null } = {}, ms, ok, error = null) {
+        this._histogram(this.byDex, `${op}|${dex}`).observe(ms);
+        if (this.perPool) this._histogram(this.byPool, `${op}|${dex}|${this._poolLabel(pool)}`).observe(ms);
+
+        const outcomeKey = `${op}|${dex}|${ok ? 'success' : 'failure'}`;
+        this.outcomes.set(outcomeKey, (this.outcomes.get(outcomeKey) || 0) + 1);
+        if (!ok) {
+            const failureKey = `${op}|${dex}|${failureReason(error)}`;
+            this.failures.set(failureKey, (this.failures.get(failureKey) || 0) + 1);
+        }
+    }
+
+    /**
+     * Time an async call. Throws are recorded as failures and rethrown; a
+     * resolved value counts as a failure when isOk(value) is false.
+     */
+    async time(op, labels, fn, isOk = () => true) {
+        const started = process.hrtime.bigint();
+        const elapsed = () => Number(process.hrtime.bigint() - started) / 1e6;
+        let value;
+        try {
+            value = await fn();
+        } catch (e) {
+            this.observe(op, labels, elapsed(), false, e);
+            throw e;
+        }
+        const ok = isOk(value);
+        this.observe(op, labels, elapsed(), ok, ok ? null : (value?.error || 'unsuccessful'));
+        return value;
+    }
+
+    /**
+     * Per op and dex: calls, success rate and approximate p50/p95 (bucket upper bounds).
+     * @returns {Object} { [op]: { [dex]: { calls, success, failure, successRate, p50Ms, p95Ms, meanMs } } }
+     */
+    summary() {
+        const out = {};
+        for (const [key, h] of this.byDex) {
+            const [op, dex] = key.split('|');
+            const success = this.outcomes.get(`${op}|${dex}|success`) || 0;
+            const failure = this.outcomes.get(`${op}|${dex}|failure`) || 0;
+            (out[op] ||= {})[dex] = {
+                calls: h.count,
+                success,
+                failure,
+                successRate: h.count ? success / h.count : null,
+                p50Ms: h.quantile(0.5),
+                p95Ms: h.quantile(0.95),
+                meanMs: h.count ? h.sum / h.count : null,
+            };
+        }
+        return out;
+    }
+
+    /**
+     * Prometheus text exposition format.
+     * @param {Object} [opts]
+     * @param {string} [opts.prefix] - Metric name prefix (default 'triarb')
+     * @returns {string}
+     */
+    toPrometheus({ prefix = 'triarb' } = {}) {
+        const lines = [];
+
+        const histogram = (name, help, map, labelNames) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} histogram`);
+            for (const [key, h] of [...map].sort(([a], [b]) => a.localeCompare(b))) {
+                const values = key.split('|');
+                const labels = Object.fromEntries(labelNames.map((l, i) => [l, values[i]]));
+                let acc = 0;
+                h.buckets.forEach((b, i) => {
+                    acc += h.counts[i];
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: b })} ${acc}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${h.count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${h.sum / 1000}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${h.count}`);
+            }
+        };
+
+        const counter = (name, help, map, labelNames) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} counter`);
+            for (const [key, n] of [...map].sort(([a], [b]) => a.localeCompare(b))) {
+                const values = key.split('|');
+                const labels = Object.fromEntries(labelNames.map((l, i) => [l, values[i]]));
+                lines.push(`${name}${formatLabels(labels)} ${n}`);
+            }
+        };
+
+        // Buckets are kept in ms; Prometheus convention is seconds
+        const inSeconds = (map) => new Map([...map].map(([k, h]) => {
+            const s = new Histogram(h.buckets.map(b => b / 1000));
+            s.counts = h.counts; s.sum = h.sum; s.count = h.count;
+            return [k, s];
+        }));
+
+        histogram(`${prefix}_adapter_call_duration_seconds`, 'Adapter call latency by operation and dex.',
+            inSeconds(this.byDex), ['op', 'dex']);
+        if (this.perPool) {
+            histogram(`${prefix}_adapter_pool_call_duration_seconds`, 'Adapter call latency by operation and pool.',
+                inSeconds(this.byPool), ['op', 'dex', 'pool']);
+        }
+        counter(`${prefix}_adapter_calls_total`, 'Adapter calls by operation, dex and result.',
+            this.outcomes, ['op', 'dex', 'result']);
+        counter(`${prefix}_adapter_failures_total`, 'Adapter failures by operation, dex and reason.',
+            this.failures, ['op', 'dex', 'reason']);
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Write a Prometheus snapshot (e.g. for node_exporter's textfile collector).
+ * Written to a temp file and renamed so a scraper never reads half a file.
+ */
+function writePrometheusFile(metrics, filePath, opts = {}) {
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, metrics.toPrometheus(opts));
+    fs.renameSync(tmp, filePath);
+    return filePath;
+}
+
+/**
+ * Serve GET /metrics locally. Returns the http.Server; close() it on shutdown.
+ * Listen errors (e.g. the port is taken) are logged rather than thrown.
+ * @param {AdapterMetrics|Function} metrics - Instance, or () => instance
+ * @param {Object} [opts] - { port = 9464, host = '127.0.0.1', prefix }
+ */
+function serveMetrics(metrics, { port = 9464, host = '127.0.0.1', prefix } = {}) {
+    const server = http.createServer((req, res) => {
+        if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+            res.writeHead(404).end();
+            return;
+        }
+        const m = typeof metrics === 'function' ? metrics() : metrics;
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+        res.end(m.toPrometheus({ prefix }));
+    });
+    server.on('error', e => logger.error('metrics endpoint failed', { host, port, error: e }));
+    server.listen(port, host);
+    return server;
+}
+
+module.exports = {
+    DEFAULT_BUCKETS_MS,
+    AdapterMetrics,
+    writePrometheusFile,
+    serveMetrics,
+    failureReason,
+};
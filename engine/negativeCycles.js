@@ -0,0 +1,184 @@
+'use strict';
+/**
+ * negativeCycles.js - Mid-price pre-filter for cycles
+ *
+ * Each directed edge u -> v weighs -log(midPrice * (1 - feeRate)) using the
+ * best pool for that pair, so a cycle whose weights sum below zero returns more
+ * than it started with at mid price. Only those cycles are worth real quotes.
+ *
+ * Per source mint a bounded Bellman-Ford pass computes the cheapest way back to
+ * the source in r edges; a DFS then extends paths only while that bound still
+ * allows a negative total. Every simple negative cycle up to maxLength is found
+ * without walking the whole path space.
+ *
+ * One pass per source costs O(maxLength * edges), so by default only the
+ * anchor mints are sources; anchors: 'all' searches from every mint.
+ *
+ * plausibleTriangles() applies this to a triangle list before any quote is
+ * asked for (triangleScanner's preFilter).
+ */
+
+const { getMidPrice } = require('../utils/_utils');
+const { buildTokenGraph, legMidRate, DEFAULT_ANCHORS } = require('./triangleGraph');
+
+function poolAddressOf(pool) {
+    return pool.poolAddress || pool.address || null;
+}
+
+// Directed adjacency: from -> Map(to -> { weight, pool }), keeping the cheapest pool per pair
+function buildWeightedEdges(graph) {
+    const adj = new Map();
+    for (const pool of graph.pools) {
+        for (const [from, to] of [[pool.baseMint, pool.quoteMint], [pool.quoteMint, pool.baseMint]]) {
+            const rate = legMidRate(pool, from);
+            if (rate == null || !(rate > 0) || !Number.isFinite(rate)) continue;
+
+            const weight = -Math.log(rate);
+            if (!adj.has(from)) adj.set(from, new Map());
+            const prev = adj.get(from).get(to);
+            if (!prev || weight < prev.weight) adj.get(from).set(to, { weight, pool });
+        }
+    }
+    return adj;
+}
+
+// back[r].get(v) = cheapest walk weight v -> source using at most r edges
+function distancesBackTo(source, adj, maxLength) {
+    const back = [new Map([[source, 0]])];
+    for (let r = 1; r <= maxLength; r++) {
+        const prev = back[r - 1];
+        const next = new Map(prev);
+        for (const [from, edges] of adj) {
+            for (const [to, { weight }] of edges) {
+                const tail = prev.get(to);
+                if (tail === undefined) continue;
+                const d = weight + tail;
+                const cur = next.get(from);
+                if (cur === undefined || d < cur) next.set(from, d);
+            }
+        }
+        back.push(next);
+    }
+    return back;
+}
+
+/**
+ * Find negative cycles in the mid-price graph.
+ *
+ * @param {Array|Object} poolsOrGraph - Pool array or result of buildTokenGraph
+ * @param {Object} [opts]
+ * @param {number} [opts.maxLength] - Max hops per cycle (default 4)
+ * @param {string[]|string} [opts.anchors] - Only cycles through these mints, starting at them
+ *   (default SOL, USDC); 'all' for every cycle in the graph
+ * @param {number} [opts.minProfitBps] - Only report cycles above this mid-price edge (default 0)
+ * @param {number} [opts.maxCycles] - Stop after this many cycles (default 10000)
+ * @returns {Array} Cycles sorted most negative first:
+ *   { key, startMint, mints, pools, hops, weight, midMultiplier, preScore }
+ */
+function findNegativeCycles(poolsOrGraph, opts = {}) {
+    const {
+        maxLength = 4,
+        anchors = DEFAULT_ANCHORS,
+        minProfitBps = 0,
+        maxCycles = 10000,
+    } = opts;
+
+    const graph = Array.isArray(poolsOrGraph) ? buildTokenGraph(poolsOrGraph) : poolsOrGraph;
+    const adj = buildWeightedEdges(graph);
+    const threshold = -Math.log(1 + minProfitBps / 1e4);
+
+    const mints = [...adj.keys()];
+    const order = new Map(mints.map((m, i) => [m, i]));
+    const everyMint = anchors === 'all';
+    const sources = everyMint ? mints : anchors.filter(m => adj.has(m));
+
+    const out = [];
+    const seen = new Set();
+
+    for (const source of sources) {
+        if (out.length >= maxCycles) break;
+        const back = distancesBackTo(source, adj, maxLength);
+        // Without anchors each cycle is reported once, from its lowest-ordered mint
+        const allowed = (m) => !everyMint || order.get(m) > order.get(source);
+
+        const path = [source];
+        const edges = [];
+        const onPath = new Set([source]);
+
+        const dfs = (u, weight) => {
+            if (out.length >= maxCycles) return;
+            const depth = path.length;
+
+            for (const [v, edge] of adj.get(u) || []) {
+                const w = weight + edge.weight;
+
+                if (v === source) {
+                    if (depth >= 2 && w < threshold) {
+                        const pools = [...edges.map(e => e.pool), edge.pool];
+                        const key = [source, ...pools.map(poolAddressOf)].join('|');
+                        if (!seen.has(key)) {
+                            seen.add(key);
+                            const midMultiplier = Math.exp(-w);
+                            out.push({
+                                key,
+                                startMint: source,
+                                mints: [...path],
+                                pools,
+                                hops: pools.length,
+                                weight: w,
+                                midMultiplier,
+                                preScore: midMultiplier - 1,
+                            });
+                        }
+                    }
+                    continue;
+                }
+
+                if (onPath.has(v) || !allowed(v) || depth >= maxLength) continue;
+                const rest = back[maxLength - depth].get(v);
+                if (rest === undefined || w + rest >= threshold) continue;
+
+                path.push(v); edges.push(edge); onPath.add(v);
+                dfs(v, w);
+                path.pop(); edges.pop(); onPath.delete(v);
+            }
+        };
+
+        dfs(source, 0);
+    }
+
+    return out.sort((a, b) => a.weight - b.weight);
+}
+
+/**
+ * Keep the triangles whose mints form a negative cycle at mid price, in
+ * either direction. Edges use the cheapest pool per pair, so when the mint
+ * cycle is not negative no combination of its pools is. A triangle with an
+ * unpriced pool cannot be judged and is kept.
+ *
+ * @param {Array} triangles - [{ pools, tokenA, tokenB, tokenC }]
+ * @param {Object} [opts]
+ * @param {string[]} [opts.anchors] - Start mints of the search (default: every tokenA)
+ * @param {number} [opts.minProfitBps] - Mid-price edge a cycle needs (default 0)
+ * @returns {Array} The kept triangles, in input order
+ */
+function plausibleTriangles(triangles, opts = {}) {
+    const mintsKey = (mints) => [...mints].sort().join('|');
+    const pools = [...new Map(triangles.flatMap(t => t.pools).map(p => [poolAddressOf(p), p])).values()];
+    const cycles = findNegativeCycles(pools, {
+        maxLength: 3,
+        anchors: opts.anchors || [...new Set(triangles.map(t => t.tokenA))],
+        minProfitBps: opts.minProfitBps ?? 0,
+        maxCycles: Infinity,
+    });
+    const negative = new Set(cycles.map(c => mintsKey(c.mints)));
+
+    return triangles.filter(t => t.pools.some(p => getMidPrice(p) == null)
+        || negative.has(mintsKey([t.tokenA, t.tokenB, t.tokenC])));
+}
+
+module.exports = {
+    findNegativeCycles,
+    plausibleTriangles,
+    buildWeightedEdges,
+};
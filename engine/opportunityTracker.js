@@ -0,0 +1,238 @@
+'use strict';
+/**
+ * opportunityTracker.js - Report each mispricing once, not once per scan
+ *
+ * A scanner sees the same triangle every cycle for as long as the mispricing
+ * lasts. The tracker keys an opportunity by its hops in order, each hop being
+ * its input mint and its pools (a split hop's pools sorted), rotated to start
+ * at the smallest hop, so the same cycle reached from another start mint is
+ * the same opportunity while the two directions of a cycle - even a 2-hop one
+ * over the same pools - stay apart.
+ *
+ * observe() says whether a result should be emitted:
+ *   new           first sighting, or first since the entry expired
+ *   increase      profit rose materially over the last emitted profit
+ *   cooldown-over seen again after an execution/failure cooldown ran out
+ * and otherwise suppresses it as 'duplicate' or 'cooldown'. Profit is compared
+ * on netProfitPct (profitPct when costs were not estimated), and also on
+ * netProfitUsd when both sides are priced.
+ *
+ * recordExecution() starts a cooldown for the key: executionCooldownMs after
+ * a sent transaction, failureCooldownMs after a failed send. Nothing is
+ * emitted for the key until it ends, and the engine checks isCoolingDown()
+ * before executing, so the same mispricing is not fired at twice. Entries not
+ * seen for expireMs are dropped by sweep().
+ */
+
+const { D } = require('../utils/_utils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('opportunities');
+
+// Same hops (input mint and pools) in the same order, rotated to start at the smallest hop
+function opportunityKey(result) {
+    const mints = result.mints || [];
+    const hops = result.pools.map((p, i) => {
+        const pools = Array.isArray(p) ? [...p].sort().join('+') : p;
+        return mints[i] ? `${mints[i]}:${pools}` : pools;
+    });
+    let start = 0;
+    hops.forEach((h, i) => { if (h < hops[start]) start = i; });
+    return [...hops.slice(start), ...hops.slice(0, start)].join('>');
+}
+
+function profitOf(result) {
+    const pct = result.netProfitPct ?? result.profitPct;
+    return {
+        pct: pct != null ? D(pct).toNumber() : null,
+        usd: result.netProfitUsd ?? null,
+    };
+}
+
+class OpportunityTracker {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.minIncreasePct] - Relative rise over the last emitted profit that counts as material (default 25)
+     * @param {number} [opts.minIncreaseUsd] - Absolute rise in netProfitUsd that also has to be met when priced (default 0)
+     * @param {number} [opts.executionCooldownMs] - Quiet period after an executed opportunity (default 60000)
+     * @param {number} [opts.failureCooldownMs] - Quiet period after a failed execution (default 30000)
+     * @param {number} [opts.expireMs] - Entries unseen this long are dropped by sweep() (default 60000)
+     * @param {Function} [opts.now] - Clock, ms (default Date.now)
+     */
+    constructor(opts = {}) {
+        this.minIncreasePct = opts.minIncreasePct ?? 25;
+        this.minIncreaseUsd = opts.minIncreaseUsd ?? 0;
+        this.executionCooldownMs = opts.executionCooldownMs ?? 60000;
+        this.failureCooldownMs = opts.failureCooldownMs ?? 30000;
+        this.expireMs = opts.expireMs ?? 60000;
+        this.now = opts.now || Date.now;
+
+        this.entries = new Map(); // key -> entry
+        this.stats = { observed: 0, emitted: 0, duplicates: 0, suppressedByCooldown: 0, executions: 0, failures: 0, expired: 0 };
+    }
+
+    _newEntry(key, result, at) {
+        const entry = {
+            key,
+            pools: result.pools ?? null,
+            startMint: result.startMint ?? null,
+            firstSeen: at,
+            lastSeen: at,
+            sightings: 0,
+            emits: 0,
+            emittedProfit: null,
+            bestProfit: { pct: null, usd: null },
+            cooldownUntil: null,
+            lastExecution: null,
+        };
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    // Unseen for expireMs; an entry cooling down is kept until the cooldown ends
+    _expired(entry, at) {
+        if (entry.cooldownUntil != null && at < entry.cooldownUntil) return false;
+        return at - entry.lastSeen > this.expireMs;
+    }
+
+    _isMaterialIncrease(entry, profit) {
+        const last = entry.emittedProfit;
+        if (!last || last.pct == null || profit.pct == null) return false;
+        // Relative to a positive baseline; from zero or below, any rise to a profit counts
+        const pctOk = last.pct > 0
+            ? profit.pct >= last.pct * (1 + this.minIncreasePct / 100)
+            : profit.pct > last.pct && profit.pct > 0;
+        if (!pctOk) return false;
+        if (last.usd != null && profit.usd != null) return profit.usd - last.usd >= this.minIncreaseUsd;
+        return true;
+    }
+
+    /**
+     * Record a sighting and decide whether to emit it.
+     * @param {Object} result - Route result (pools, mints, profitPct, netProfitPct?, netProfitUsd?)
+     * @param {number} [at] - Time of the sighting (default now)
+     * @returns {{ emit: boolean, reason: string, entry: Object }}
+     */
+    observe(result, at = this.now()) {
+        const key = opportunityKey(result);
+        const profit = profitOf(result);
+        this.stats.observed++;
+
+        let entry = this.entries.get(key);
+        if (entry && this._expired(entry, at)) {
+            this.entries.delete(key);
+            this.stats.expired++;
+            entry = null;
+        }
+        if (!entry) entry = this._newEntry(key, result, at);
+        entry.lastSeen = at;
+        entry.sightings++;
+        if (profit.pct != null && (entry.bestProfit.pct == null || profit.pct > entry.bestProfit.pct)) entry.bestProfit = profit;
+
+        let reason;
+        if (entry.cooldownUntil != null) {
+            if (at < entry.cooldownUntil) {
+                this.stats.suppressedByCooldown++;
+                return { emit: false, reason: 'cooldown', entry };
+            }
+            // Still there after the cooldown: report it afresh
+            entry.cooldownUntil = null;
+            entry.emittedProfit = null;
+            reason = 'cooldown-over';
+        } else if (!entry.emittedProfit) {
+            reason = 'new';
+        } else if (this._isMaterialIncrease(entry, profit)) {
+            reason = 'increase';
+        } else {
+            this.stats.duplicates++;
+            return { emit: false, reason: 'duplicate', entry };
+        }
+
+        entry.emittedProfit = profit;
+        entry.emits++;
+        this.stats.emitted++;
+        logger.debug('emit', { key, reason, profitPct: profit.pct, profitUsd: profit.usd });
+        return { emit: true, reason, entry };
+    }
+
+    /**
+     * observe() every result; return the ones to emit, each with an
+     * `opportunity` field { key, reason, firstSeen, lastSeen, sightings } (ISO times).
+     * @param {Object[]} results
+     * @param {number} [at]
+     */
+    filter(results, at = this.now()) {
+        const out = [];
+        for (const r of results) {
+            const { emit, reason, entry } = this.observe(r, at);
+            if (!emit) continue;
+            out.push({
+                ...r,
+                opportunity: {
+                    key: entry.key,
+                    reason,
+                    firstSeen: new Date(entry.firstSeen).toISOString(),
+                    lastSeen: new Date(entry.lastSeen).toISOString(),
+                    sightings: entry.sightings,
+                },
+            });
+        }
+        return out;
+    }
+
+    /**
+     * Start the cooldown after an execution attempt.
+     * @param {Object|string} resultOrKey - The executed route result, or its key
+     * @param {Object} [outcome]
+     * @param {boolean} [outcome.success] - Sent (default true); false for a failed send
+     * @param {string} [outcome.signature]
+     * @param {string} [outcome.error]
+     * @param {number} [at]
+     * @returns {Object} The entry
+     */
+    recordExecution(resultOrKey, { success = true, signature = null, error = null } = {}, at = this.now()) {
+        const key = typeof resultOrKey === 'string' ? resultOrKey : opportunityKey(resultOrKey);
+        let entry = this.entries.get(key);
+        // Executed without going through observe(): still owed a cooldown
+        if (!entry) entry = this._newEntry(key, typeof resultOrKey === 'string' ? {} : resultOrKey, at);
+        entry.cooldownUntil = at + (success ? this.executionCooldownMs : this.failureCooldownMs);
+        entry.lastExecution = { at, success, signature, error };
+        this.stats[success ? 'executions' : 'failures']++;
+        logger.info('cooldown started', { key, success, untilMs: entry.cooldownUntil - at, ...(error ? { error } : {}) });
+        return entry;
+    }
+
+    isCoolingDown(resultOrKey, at = this.now()) {
+        const key = typeof resultOrKey === 'string' ? resultOrKey : opportunityKey(resultOrKey);
+        const until = this.entries.get(key)?.cooldownUntil;
+        return until != null && at < until;
+    }
+
+    /**
+     * Drop entries not seen for expireMs (cooling-down entries stay until the cooldown ends).
+     * @returns {Object[]} Dropped entries
+     */
+    sweep(at = this.now()) {
+        const dropped = [];
+        for (const [key, entry] of this.entries) {
+            if (!this._expired(entry, at)) continue;
+            this.entries.delete(key);
+            dropped.push(entry);
+        }
+        this.stats.expired += dropped.length;
+        return dropped;
+    }
+
+    get(resultOrKey) {
+        return this.entries.get(typeof resultOrKey === 'string' ? resultOrKey : opportunityKey(resultOrKey)) || null;
+    }
+
+    getStats() {
+        return { ...this.stats, tracked: this.entries.size };
+    }
+}
+
+module.exports = {
+    OpportunityTracker,
+    opportunityKey,
+};
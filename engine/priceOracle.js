@@ -0,0 +1,161 @@
+'use strict';
+/**
+ * priceOracle.js - USD price per mint derived from the pool file
+ *
+ * Starts from the USD seeds (USDC = 1) and walks the token graph one hop at a
+ * time. Each newly reached mint is priced through the deepest pool into the
+ * already-priced set, using getMidPrice() (midPrice, clmm price, reserves).
+ * Depth is the USD value of the priced side's reserve, so a thin pool never
+ * prices a mint that also trades against a deep one at the same hop distance.
+ */
+
+const { TOKENS, hasReserves, atomicToHuman, getMidPrice, toNumberOrNull } = require('../utils/_utils');
+const { buildTokenGraph } = require('./triangleGraph');
+
+function poolAddressOf(pool) {
+    return pool.poolAddress || pool.address || null;
+}
+
+// USD value on the priced side of the pool, doubled (0 when reserves are unknown)
+function poolDepthUsd(pool, pricedMint, priceUsd) {
+    if (!hasReserves(pool)) return 0;
+    const isBase = pricedMint === pool.baseMint;
+    const dec = toNumberOrNull(isBase ? pool.baseDecimals : pool.quoteDecimals);
+    if (dec == null) return 0;
+    const reserve = atomicToHuman(isBase ? pool.xReserve : pool.yReserve, dec).toNumber();
+    return reserve * priceUsd * 2;
+}
+
+class PriceOracle {
+    constructor() {
+        this.prices = new Map();   // mint -> { usd, hops, depthUsd, via }
+        this.decimals = new Map(); // mint -> decimals seen on pool records
+    }
+
+    has(mint) {
+        return this.prices.has(mint);
+    }
+
+    /** @returns {number|null} USD per whole token */
+    priceUsd(mint) {
+        return this.prices.get(mint)?.usd ?? null;
+    }
+
+    /** @returns {{ usd: number, hops: number, depthUsd: number, via: string|null }|null} */
+    entry(mint) {
+        return this.prices.get(mint) || null;
+    }
+
+    /**
+     * USD value of an atomic amount.
+     * @param {string} mint
+     * @param {string|number|bigint} amountAtomic
+     * @param {number} [decimals] - Defaults to the decimals seen on pool records
+     * @returns {number|null} null when the mint is unpriced or decimals are unknown
+     */
+    toUsd(mint, amountAtomic, decimals = null) {
+        const usd = this.priceUsd(mint);
+        const dec = decimals ?? this.decimals.get(mint);
+        if (usd == null || dec == null) return null;
+        return atomicToHuman(amountAtomic, dec).toNumber() * usd;
+    }
+
+    get size() {
+        return this.prices.size;
+    }
+
+    /**
+     * Plain JSON of the USD prices and decimals, e.g. for a replay bundle.
+     * @param {string[]} [mints] - Only these mints (default all)
+     * @returns {{ prices: Object, decimals: Object }} { mint: usd }, { mint: decimals }
+     */
+    snapshot(mints = null) {
+        const keep = (m) => !mints || mints.includes(m);
+        const prices = {};
+        const decimals = {};
+        for (const [mint, e] of this.prices) if (keep(mint)) prices[mint] = e.usd;
+        for (const [mint, d] of this.decimals) if (keep(mint)) decimals[mint] = d;
+        return { prices, decimals };
+    }
+
+    /** Oracle answering priceUsd/toUsd from a snapshot() (hops, depth and via are not kept) */
+    static fromSnapshot({ prices = {}, decimals = {} } = {}) {
+        const oracle = new PriceOracle();
+        for (const [mint, usd] of Object.entries(prices)) {
+            oracle.prices.set(mint, { usd: Number(usd), hops: null, depthUsd: null, via: null });
+        }
+        for (const [mint, d] of Object.entries(decimals)) oracle.decimals.set(mint, Number(d));
+        return oracle;
+    }
+}
+
+/**
+ * Price every reachable mint.
+ *
+ * @param {Array|Object} poolsOrGraph - Pool array or result of buildTokenGraph
+ * @param {Object} [opts]
+ * @param {Object} [opts.seeds] - { mint: usdPrice } starting points (default USDC = 1)
+ * @param {number} [opts.maxHops] - Max pools between a mint and a seed (default 3)
+ * @param {number} [opts.minDepthUsd] - Ignore pools shallower than this once a seed price is known (default 0)
+ * @returns {PriceOracle}
+ */
+function buildPriceOracle(poolsOrGraph, opts = {}) {
+    const {
+        seeds = { [TOKENS.USDC]: 1 },
+        maxHops = 3,
+        minDepthUsd = 0,
+    } = opts;
+
+    const graph = Array.isArray(poolsOrGraph) ? buildTokenGraph(poolsOrGraph) : poolsOrGraph;
+    const oracle = new PriceOracle();
+
+    for (const pool of graph.pools) {
+        for (const [mint, dec] of [[pool.baseMint, pool.baseDecimals], [pool.quoteMint, pool.quoteDecimals]]) {
+            const d = toNumberOrNull(dec);
+            if (d != null && !oracle.decimals.has(mint)) oracle.decimals.set(mint, d);
+        }
+    }
+
+    let frontier = [];
+    for (const [mint, usd] of Object.entries(seeds)) {
+        oracle.prices.set(mint, { usd: Number(usd), hops: 0, depthUsd: Infinity, via: null });
+        frontier.push(mint);
+    }
+
+    for (let hop = 1; hop <= maxHops && frontier.length; hop++) {
+        const best = new Map(); // mint -> candidate entry
+
+        for (const from of frontier) {
+            const fromUsd = oracle.priceUsd(from);
+            for (const pool of graph.byMint.get(from) || []) {
+                const to = pool.baseMint === from ? pool.quoteMint : pool.baseMint;
+                if (oracle.has(to)) continue;
+
+                const mid = getMidPrice(pool);
+                if (!mid || !Number.isFinite(mid) || mid <= 0) continue;
+
+                const depthUsd = poolDepthUsd(pool, from, fromUsd);
+                if (depthUsd < minDepthUsd) continue;
+
+                // mid is quote per base
+                const usd = pool.baseMint === from ? fromUsd / mid : fromUsd * mid;
+                if (!Number.isFinite(usd) || usd <= 0) continue;
+
+                const prev = best.get(to);
+                if (!prev || depthUsd > prev.depthUsd) {
+                    best.set(to, { usd, hops: hop, depthUsd, via: poolAddressOf(pool) });
+                }
+            }
+        }
+
+        for (const [mint, e] of best) oracle.prices.set(mint, e);
+        frontier = [...best.keys()];
+    }
+
+    return oracle;
+}
+
+module.exports = {
+    PriceOracle,
+    buildPriceOracle,
+};
@@ -0,0 +1,201 @@
+'use strict';
+/**
+ * profitDiagnosis.js - Explain why a cycle came back with an unrealistic profit
+ *
+ * A cycle that returns 50% or more is almost never an opportunity; one leg is
+ * being priced from bad data. Each leg's execution price (output per input, in
+ * whole tokens) is compared with the pool's mid price and with the price the
+ * oracle implies (priceUsd(in) / priceUsd(out)). The shape of the mismatch
+ * usually gives the cause away:
+ *
+ *   missing-decimals      exec is off by a power of ten
+ *   inverted-orientation  exec is close to 1 / reference (base and quote swapped)
+ *   fee-units             the fee rate is not a fraction (bps or percent stored as a rate)
+ *   stale-reserves        the pool's mid price disagrees with the oracle
+ *   price-deviation       exec is far off the reference with no recognisable pattern
+ *
+ * The leg with the largest deviation is reported as the suspect.
+ */
+
+const { D, shortAddr, getMidPrice, getFeeRate } = require('../utils/_utils');
+
+const DEFAULT_MAX_PROFIT_PCT = 50;
+
+const DEFAULTS = {
+    // exec within this of the reference counts as agreeing (fees and impact included)
+    toleranceBps: 500,
+    // mid further than this from the oracle is treated as stale
+    staleBps: 1000,
+    // |log10| distance to an integer that still counts as a power of ten
+    log10Slack: 0.05,
+};
+
+function poolAddressOf(pool) {
+    return pool?.poolAddress || pool?.address || null;
+}
+
+function toNumber(v) {
+    if (v == null || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+}
+
+function deviationBps(px, ref) {
+    if (!px || !ref || px <= 0 || ref <= 0) return null;
+    return (px / ref - 1) * 1e4;
+}
+
+/**
+ * Execution, mid and oracle prices of one leg, all in output per input (whole tokens).
+ * @param {Object} pool - Pool the leg went through
+ * @param {string} inputMint
+ * @param {string} dxAtomic - Leg input
+ * @param {string} dyAtomic - Leg output
+ * @param {Object} [opts]
+ * @param {number} [opts.inDecimals] - Decimals the engine used for the input (default: the pool's)
+ * @param {number} [opts.outDecimals] - Decimals the engine used for the output (default: the pool's)
+ * @param {string} [opts.outputMint] - Needed for oraclePx when the pool does not contain inputMint
+ * @param {PriceOracle} [opts.priceOracle]
+ * @returns {Object} { dex, pool, dir, execPx, feeBps, feeRate, midPx, oraclePx, impactBps, slipVsMidBps, execVsOracleBps, midVsOracleBps, ... }
+ */
+function computeLegMetrics(pool, inputMint, dxAtomic, dyAtomic, opts = {}) {
+    const dirXY = inputMint === pool.baseMint;
+    const outputMint = opts.outputMint || (dirXY ? pool.quoteMint : pool.baseMint);
+    const inDec = toNumber(opts.inDecimals ?? (dirXY ? pool.baseDecimals : pool.quoteDecimals));
+    const outDec = toNumber(opts.outDecimals ?? (dirXY ? pool.quoteDecimals : pool.baseDecimals));
+
+    let execPx = null;
+    if (inDec != null && outDec != null && D(dxAtomic).gt(0)) {
+        const dxH = D(dxAtomic).div(D(10).pow(inDec));
+        const dyH = D(dyAtomic).div(D(10).pow(outDec));
+        execPx = dyH.div(dxH).toNumber();
+    }
+
+    const feeRate = getFeeRate(pool).toNumber();
+    const feeBps = Math.round(feeRate * 1e4);
+
+    // getMidPrice is quote per base; flip it for Y->X so it is in the same units as execPx
+    const mid = getMidPrice(pool);
+    const midPx = mid && mid > 0 ? (dirXY ? mid : 1 / mid) : null;
+
+    const oracle = opts.priceOracle;
+    const inUsd = oracle?.priceUsd(inputMint);
+    const outUsd = oracle?.priceUsd(outputMint);
+    const oraclePx = inUsd && outUsd ? inUsd / outUsd : null;
+
+    const slipVsMidBps = deviationBps(execPx, midPx);
+    return {
+        dex: pool.dex || pool.type,
+        pool: shortAddr(poolAddressOf(pool)),
+        poolAddress: poolAddressOf(pool),
+        dir: dirXY ? 'X->Y' : 'Y->X',
+        inDecimals: inDec,
+        outDecimals: outDec,
+        execPx,
+        feeBps,
+        feeRate,
+        midPx,
+        oraclePx,
+        slipVsMidBps,
+        impactBps: slipVsMidBps != null ? slipVsMidBps + feeBps : null,
+        execVsOracleBps: deviationBps(execPx, oraclePx),
+        midVsOracleBps: deviationBps(midPx, oraclePx),
+        inAtomic: String(dxAtomic),
+        outAtomic: String(dyAtomic),
+    };
+}
+
+// Integer k != 0 when ratio is within slack of 10^k, else null
+function powerOfTen(ratio, slack) {
+    if (!ratio || ratio <= 0) return null;
+    const l = Math.log10(ratio);
+    const k = Math.round(l);
+    return k !== 0 && Math.abs(l - k) <= slack ? k : null;
+}
+
+/**
+ * Name the likely cause of a leg's mispricing.
+ * @param {Object} m - computeLegMetrics() result
+ * @param {Object} [opts] - { toleranceBps, staleBps, log10Slack }
+ * @returns {{ cause: string|null, detail: string|null, deviationBps: number|null }}
+ *   cause is null when the leg looks consistent with its references
+ */
+function diagnoseLeg(m, opts = {}) {
+    const { toleranceBps, staleBps, log10Slack } = { ...DEFAULTS, ...opts };
+    const ref = m.oraclePx ?? m.midPx;
+    const refName = m.oraclePx != null ? 'oracle' : 'mid';
+    const dev = deviationBps(m.execPx, ref);
+    const result = (cause, detail) => ({ cause, detail, deviationBps: dev });
+
+    if (m.feeRate < 0 || m.feeRate >= 0.1) {
+        return result('fee-units', `feeRate ${m.feeRate} is not a fraction (bps or percent stored as a rate?)`);
+    }
+    if (m.execPx == null) {
+        return result('missing-decimals', `decimals unknown (in=${m.inDecimals}, out=${m.outDecimals})`);
+    }
+    if (ref == null) return result(null, 'no mid or oracle price to compare with');
+
+    const k = powerOfTen(m.execPx / ref, log10Slack);
+    if (k != null) {
+        return result('missing-decimals', `exec is 10^${k} x ${refName} (in=${m.inDecimals}, out=${m.outDecimals} decimals)`);
+    }
+    // 1/ref == ref only near 1, where inversion cannot be told apart
+    const invDev = deviationBps(m.execPx, 1 / ref);
+    if (invDev != null && Math.abs(invDev) <= toleranceBps && Math.abs(Math.log10(ref)) > 0.1) {
+        return result('inverted-orientation', `exec ${m.execPx} is 1/${refName} (${ref}); base and quote look swapped`);
+    }
+    if (m.midVsOracleBps != null && Math.abs(m.midVsOracleBps) > staleBps) {
+        const execFollows = Math.abs(m.slipVsMidBps) <= toleranceBps ? 'mid' : 'oracle';
+        return result('stale-reserves', `mid ${m.midPx} is ${Math.round(m.midVsOracleBps)} bps off the oracle ${m.oraclePx}; exec follows ${execFollows}`);
+    }
+    if (Math.abs(dev) > toleranceBps) {
+        return result('price-deviation', `exec ${m.execPx} is ${Math.round(dev)} bps off ${refName} ${ref}`);
+    }
+    return result(null, null);
+}
+
+/**
+ * Per-leg metrics and diagnosis for a fully simulated cycle.
+ * Split legs are diagnosed per pool, so the suspect can be one pool of the split.
+ *
+ * @param {Object} params
+ * @param {Array<Object|Object[]>} params.pools - Hops as passed to simulateCycleRoute
+ * @param {string[]} params.inMints - Input mint of each hop
+ * @param {Object[]} params.legs - Simulated legs (dxAtomic, dyAtomic, inDecimals, outDecimals, splits?)
+ * @param {PriceOracle} [params.priceOracle]
+ * @param {Object} [params.opts] - diagnoseLeg() tolerances
+ * @returns {{ legs: Object[], suspect: Object|null }} legs: [{ leg, ...metrics, cause, detail, deviationBps }]
+ */
+function diagnoseCycle({ pools, inMints, legs, priceOracle = null, opts = {} }) {
+    const out = [];
+    legs.forEach((leg, i) => {
+        const inputMint = inMints[i];
+        const outputMint = inMints[(i + 1) % inMints.length];
+        const decimals = { inDecimals: leg.inDecimals, outDecimals: leg.outDecimals, outputMint, priceOracle };
+        const parts = Array.isArray(pools[i])
+            ? (leg.splits || []).map(s => ({
+                pool: pools[i].find(p => (p.poolAddress || p.address) === s.poolAddress),
+                dx: s.dxAtomic,
+                dy: s.dyAtomic
+            }))
+            : [{ pool: pools[i], dx: leg.dxAtomic, dy: leg.dyAtomic }];
+        for (const { pool, dx, dy } of parts) {
+            if (!pool || dx == null || dy == null) continue;
+            const m = computeLegMetrics(pool, inputMint, dx, dy, decimals);
+            out.push({ leg: i + 1, ...m, ...diagnoseLeg(m, opts) });
+        }
+    });
+
+    // The worst offender: any named cause beats none, then the largest |log| deviation
+    const score = (d) => (d.cause ? 1e9 : 0)
+        + (d.deviationBps != null ? Math.abs(Math.log(1 + d.deviationBps / 1e4)) : 0);
+    const suspect = out.reduce((best, d) => (!best || score(d) > score(best) ? d : best), null);
+    return { legs: out, suspect: suspect && suspect.cause ? suspect : null };
+}
+
+module.exports = {
+    DEFAULT_MAX_PROFIT_PCT,
+    computeLegMetrics,
+    diagnoseLeg,
+    diagnoseCycle,
+};
@@ -0,0 +1,88 @@
+'use strict';
+/**
+ * quoteCache.js - Normalized adapter quotes keyed by (pool, swapForY, amountIn, stateSlot)
+ * (exact-out quotes key on the output amount instead)
+ *
+ * The size optimizer probes the same amounts more than once and the scanner
+ * sees the same pool in many cycles; both get the stored quote instead of
+ * another SDK/RPC call. The state slot is part of the key, so a refreshed
+ * adapter never serves a quote computed on older state; the TTL covers
+ * adapters whose slot is unknown.
+ */
+
+class QuoteCache {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.ttlMs] - Entry lifetime (default 1000)
+     * @param {number} [opts.maxEntries] - Oldest entries dropped beyond this (default 5000)
+     */
+    constructor(opts = {}) {
+        this.ttlMs = opts.ttlMs ?? 1000;
+        this.maxEntries = opts.maxEntries ?? 5000;
+        this.entries = new Map(); // key -> { value, expiresAt }
+        this.stats = { hits: 0, misses: 0, expired: 0, sets: 0 };
+    }
+
+    // exactOut quotes key on the output amount and never collide with exact-in ones
+    static key(poolAddress, swapForY, amount, stateSlot, exactOut = false) {
+        return `${poolAddress}|${swapForY ? 'XY' : 'YX'}|${exactOut ? 'out' : 'in'}|${String(amount)}|${stateSlot ?? '-'}`;
+    }
+
+    get(key) {
+        const e = this.entries.get(key);
+        if (!e) {
+            this.stats.misses++;
+            return undefined;
+        }
+        if (Date.now() >= e.expiresAt) {
+            this.entries.delete(key);
+            this.stats.expired++;
+            this.stats.misses++;
+            return undefined;
+        }
+        this.stats.hits++;
+        return e.value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+        this.stats.sets++;
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return value;
+    }
+
+    // Drop every quote for one pool (its state changed under the cached slot)
+    invalidatePool(poolAddress) {
+        const prefix = `${poolAddress}|`;
+        let removed = 0;
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            hitRate: lookups ? this.stats.hits / lookups : 0,
+        };
+    }
+
+    resetStats() {
+        for (const k of Object.keys(this.stats)) this.stats[k] = 0;
+    }
+}
+
+module.exports = { QuoteCache };
@@ -0,0 +1,279 @@
+'use strict';
+/**
+ * quoteRecorder.js - Record a route evaluation's adapter traffic and replay it offline
+ *
+ * Quotes come from live SDK calls, so a scan result cannot be reproduced after
+ * the fact. recordTriangularRoute() runs simulateTriangularRoute() on a fresh
+ * engine whose recorder captures every adapter input and output:
+ *   - the pool records as passed in (before decimals are filled),
+ *   - per pool, the adapter state quotes were computed from (snapshotState():
+ *     reserves, active bin, sqrt price, tick array starts) and its slot,
+ *   - every quote call (pool, direction, amount, exact-in/out) with its answer,
+ *     including the bin/tick arrays the quote used, or the error it threw,
+ *   - decimals fetched over RPC and the oracle prices used for USD fields.
+ *
+ * replayBundle() re-runs the same evaluation with a replayer in place of the
+ * adapters and RPC. The same inputs go through the same engine code, so the
+ * result serializes byte for byte to the recorded one; resultDigest is the
+ * sha256 of that serialization.
+ *
+ * Calls are replayed per key in recorded order, so a pool whose state moved
+ * during the run (a refresh between two identical quotes) answers the same way
+ * twice. A call that was never recorded fails with 'replay: no recorded quote'.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { PriceOracle } = require('./priceOracle');
+const { assertValid, writeValidatedJson } = require('./schema');
+const { TOKENS, normalizeType, normalizeDex } = require('../utils/_utils');
+
+// Nothing in a replay may reach the network; the replayer answers before any connection method is used
+const OFFLINE_CONNECTION = Object.freeze({ rpcEndpoint: 'replay://offline' });
+
+function jsonReplacer(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+// JSON-safe deep copy (BN/PublicKey via toJSON/toString, bigint as string)
+function toPlain(value) {
+    return value == null ? null : JSON.parse(JSON.stringify(value, jsonReplacer));
+}
+
+function quoteKey(address, swapForY, amountAtomic, exactOut) {
+    return `${exactOut ? 'out' : 'in'}|${address}|${swapForY ? 'XY' : 'YX'}|${String(amountAtomic)}`;
+}
+
+/** The serialization replay results are compared on */
+function resultText(result) {
+    return JSON.stringify(result, jsonReplacer);
+}
+
+function digest(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+class QuoteRecorder {
+    constructor() {
+        this.calls = [];
+        this.pools = {};     // address -> { type, dex, states: [{ slot, state }] }
+        this.decimals = {};  // mint -> decimals
+        this.decimalErrors = {}; // mint -> message
+    }
+
+    /**
+     * @param {Object} call
+     * @param {Object} call.pool - Pool record
+     * @param {boolean} call.swapForY
+     * @param {string} call.amountAtomic - Input (exact-in) or wanted output (exact-out)
+     * @param {boolean} call.exactOut
+     * @param {Object|null} [call.quote] - Standard quote, or null when no adapter was available
+     * @param {Error} [call.error] - Set when the call threw
+     * @param {number|null} [call.slot] - Slot of the adapter state
+     * @param {Object|null} [call.state] - adapter.snapshotState()
+     */
+    recordQuote({ pool, swapForY, amountAtomic, exactOut, quote = null, error = null, slot = null, state = null }) {
+        const address = String(pool.poolAddress || pool.address);
+        const entry = this.pools[address] ||= { type: normalizeType(pool), dex: normalizeDex(pool), states: [] };
+        if (state) {
+            const plain = toPlain(state);
+            const last = entry.states[entry.states.length - 1];
+            if (!last || last.slot !== slot || JSON.stringify(last.state) !== JSON.stringify(plain)) {
+                entry.states.push({ slot, state: plain });
+            }
+        }
+        this.calls.push({
+            op: exactOut ? 'quote_exact_out' : 'quote',
+            pool: address,
+            swapForY: Boolean(swapForY),
+            amountAtomic: String(amountAtomic),
+            slot,
+            ...(error ? { error: error.message || String(error) } : { quote: toPlain(quote) }),
+        });
+    }
+
+    recordDecimals(mint, decimals, error = null) {
+        if (error) this.decimalErrors[mint] = error.message || String(error);
+        else this.decimals[mint] = decimals;
+    }
+
+    /**
+     * @param {Object} params - Serializable simulateTriangularRoute params (pools copied before the run)
+     * @param {Object} result - The route result
+     * @param {PriceOracle} [priceOracle] - Oracle the run used
+     * @param {string[]} [mints] - Mints whose oracle prices are kept (default all)
+     * @returns {Object} Bundle body (writeBundle adds the envelope)
+     */
+    toBundle({ params, result, priceOracle = null, mints = null }) {
+        const plainResult = toPlain(result);
+        return {
+            params,
+            oracle: priceOracle ? priceOracle.snapshot(mints) : null,
+            decimals: { ...this.decimals },
+            decimalErrors: { ...this.decimalErrors },
+            pools: this.pools,
+            calls: this.calls,
+            result: plainResult,
+            resultDigest: digest(resultText(plainResult)),
+        };
+    }
+}
+
+class QuoteReplayer {
+    /**
+     * @param {Object} bundle - Recorded bundle (see QuoteRecorder.toBundle)
+     */
+    constructor(bundle) {
+        this.queues = new Map(); // quoteKey -> recorded calls, in order
+        for (const call of bundle.calls || []) {
+            const key = quoteKey(call.pool, call.swapForY, call.amountAtomic, call.op === 'quote_exact_out');
+            if (!this.queues.has(key)) this.queues.set(key, []);
+            this.queues.get(key).push(call);
+        }
+        this.decimalsByMint = bundle.decimals || {};
+        this.decimalErrors = bundle.decimalErrors || {};
+        this.misses = [];
+    }
+
+    quote(pool, swapForY, amountAtomic, exactOut = false) {
+        const key = quoteKey(String(pool.poolAddress || pool.address), swapForY, amountAtomic, exactOut);
+        const queue = this.queues.get(key);
+        if (!queue) {
+            this.misses.push(key);
+            return { success: false, error: `replay: no recorded quote for ${key}` };
+        }
+        // The last recorded answer keeps serving once the queue is down to it
+        const call = queue.length > 1 ? queue.shift() : queue[0];
+        if (call.error != null) throw new Error(call.error);
+        return toPlain(call.quote);
+    }
+
+    decimals(mint) {
+        if (mint in this.decimalErrors) throw new Error(this.decimalErrors[mint]);
+        if (!(mint in this.decimalsByMint)) {
+            this.misses.push(`decimals|${mint}`);
+            throw new Error(`replay: no recorded decimals for mint ${mint}`);
+        }
+        return this.decimalsByMint[mint];
+    }
+}
+
+/**
+ * Run simulateTriangularRoute on a fresh recording engine. Never executes.
+ *
+ * @param {Object} params - simulateTriangularRoute params (pools, tokenA, tokenB, tokenC, dxAtomic, ...)
+ * @param {Object} [engineOpts] - createEngine options (connection, rpcUrl, costs, slippage, priceOracle, maxProfitPct, ...)
+ * @returns {Promise<{ result: Object, bundle: Object }>}
+ */
+async function recordTriangularRoute(params, engineOpts = {}) {
+    // Required lazily: the engine loads every SDK adapter, which readBundle/writeBundle do not need
+    const { createEngine } = require('./triArbitrage');
+    const recorder = new QuoteRecorder();
+    const engine = createEngine({ ...engineOpts, recorder });
+
+    const recorded = {
+        pools: toPlain(params.pools),
+        tokenA: params.tokenA,
+        tokenB: params.tokenB,
+        tokenC: params.tokenC,
+        dxAtomic: String(params.dxAtomic),
+        maxImpactPct: params.maxImpactPct ?? 5,
+        costs: toPlain(params.costs ?? engineOpts.costs ?? null),
+        slippage: toPlain(params.slippage ?? engineOpts.slippage ?? null),
+        maxProfitPct: params.maxProfitPct ?? engineOpts.maxProfitPct ?? null,
+    };
+    const priceOracle = params.priceOracle || engineOpts.priceOracle || null;
+
+    const result = await engine.simulateTriangularRoute({ ...recorded, pools: params.pools, priceOracle, execute: false });
+    const mints = [params.tokenA, params.tokenB, params.tokenC, TOKENS.SOL];
+    return { result, bundle: recorder.toBundle({ params: recorded, result, priceOracle, mints }) };
+}
+
+/**
+ * Re-run a recorded evaluation offline.
+ * @param {Object} bundle - Bundle from recordTriangularRoute or readBundle
+ * @returns {Promise<Object>} { result, identical, digest, expectedDigest, misses }
+ */
+async function replayBundle(bundle) {
+    const { createEngine } = require('./triArbitrage');
+    const replay = new QuoteReplayer(bundle);
+    const engine = createEngine({ connection: OFFLINE_CONNECTION, replay });
+    const p = bundle.params;
+
+    const result = await engine.simulateTriangularRoute({
+        ...p,
+        pools: toPlain(p.pools),
+        priceOracle: bundle.oracle ? PriceOracle.fromSnapshot(bundle.oracle) : null,
+        execute: false
+    });
+    const text = resultText(result);
+    return {
+        result,
+        identical: text === resultText(bundle.result),
+        digest: digest(text),
+        expectedDigest: bundle.resultDigest,
+        misses: replay.misses,
+    };
+}
+
+function writeBundle(filePath, bundle) {
+    return writeValidatedJson(filePath, 'quoteBundle', bundle);
+}
+
+function readBundle(filePath) {
+    return assertValid('quoteBundle', JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+module.exports = {
+    QuoteRecorder,
+    QuoteReplayer,
+    recordTriangularRoute,
+    replayBundle,
+    writeBundle,
+    readBundle,
+    resultText,
+};
+
+// node engine/quoteRecorder.js record <pools.json> <poolAB> <poolBC> <poolCA> <dxAtomic> <bundle.json>
+// node engine/quoteRecorder.js replay <bundle.json>
+if (require.main === module) {
+    (async () => {
+        const [cmd, ...args] = process.argv.slice(2);
+        if (cmd === 'record' && args.length === 6) {
+            const { loadPoolsFromAny } = require('../utils/poolLoader.js');
+            const { solveTriangleOrientation } = require('./triArbitrage');
+            const { buildPriceOracle } = require('./priceOracle');
+            const [poolsFile, ab, bc, ca, dxAtomic, out] = args;
+
+            const all = loadPoolsFromAny(JSON.parse(fs.readFileSync(poolsFile, 'utf8')));
+            const byAddress = new Map(all.map(p => [String(p.poolAddress || p.address), p]));
+            const pools = [ab, bc, ca].map(a => {
+                if (!byAddress.has(a)) throw new Error(`pool ${a} not in ${poolsFile}`);
+                return byAddress.get(a);
+            });
+            const triangle = await solveTriangleOrientation(pools);
+            if (!triangle) throw new Error('pools do not form a triangle in this order');
+            const [tokenA, tokenB, tokenC] = triangle.inMints;
+
+            const { result, bundle } = await recordTriangularRoute(
+                { pools, tokenA, tokenB, tokenC, dxAtomic },
+                { priceOracle: buildPriceOracle(all) }
+            );
+            writeBundle(out, bundle);
+            console.log(`${result.ok ? 'ok' : `failed (${result.reason})`}: ${bundle.calls.length} quote calls recorded to ${out}`);
+            console.log(`result sha256 ${bundle.resultDigest}`);
+        } else if (cmd === 'replay' && args.length === 1) {
+            const r = await replayBundle(readBundle(args[0]));
+            console.log(`replayed ${args[0]}: ${r.identical ? 'identical' : 'DIFFERENT'} (sha256 ${r.digest})`);
+            if (r.misses.length) console.log(`unrecorded calls: ${r.misses.join(', ')}`);
+            process.exitCode = r.identical ? 0 : 1;
+        } else {
+            console.error('Usage: node engine/quoteRecorder.js record <pools.json> <poolAB> <poolBC> <poolCA> <dxAtomic> <bundle.json>');
+            console.error('       node engine/quoteRecorder.js replay <bundle.json>');
+            process.exitCode = 1;
+        }
+    })().catch(e => {
+        console.error(e.message);
+        process.exitCode = 1;
+    });
+}
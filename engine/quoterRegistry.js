@@ -0,0 +1,115 @@
+'use strict';
+/**
+ * quoterRegistry.js - Pool type -> adapter class
+ *
+ * Keys are normalizeType() output ('dlmm', 'clmm', 'cpmm', 'whirlpool', ...).
+ * Adapter modules register themselves when required; anything else can
+ * register a custom adapter the same way without touching the engine:
+ *
+ *   registerAdapter('whirlpool', WhirlpoolAdapter, { capabilities: ['quoteExactIn'] });
+ *
+ * Adapter contract (same as Q_dlmm.js):
+ *   new Adapter(connection, poolAddress, poolData, ctx), init(),
+ *   quoteExactIn({ inAmountLamports, swapForY, slippageBps }) -> standard quote
+ *   quoteExactOut(outAmountAtomic, swapForY, slippageBps) -> standard quote + maxInAmountRaw (optional capability)
+ *   snapshotState() -> plain JSON of the state quotes are computed from (optional, recorded by quoteRecorder.js)
+ *
+ * Looking up a type nobody registered throws; there is no silent fallback.
+ */
+
+const { normalizeType } = require('../utils/_utils');
+
+const CAPABILITIES = Object.freeze({
+    QUOTE_EXACT_IN: 'quoteExactIn',
+    QUOTE_FAST_EXACT_IN: 'quoteFastExactIn',
+    QUOTE_EXACT_OUT: 'quoteExactOut',
+    REFRESH: 'refresh',
+    BUILD_SWAP_TX: 'buildSwapTx',
+    SNAPSHOT_STATE: 'snapshotState',
+});
+
+const KNOWN_CAPABILITIES = new Set(Object.values(CAPABILITIES));
+
+const registry = new Map();
+
+/**
+ * @param {string} type - normalizeType() key
+ * @param {Function} AdapterClass - Adapter constructor
+ * @param {Object} [opts]
+ * @param {string[]} [opts.capabilities] - Declared capabilities (see CAPABILITIES)
+ * @param {boolean} [opts.override] - Replace an existing registration
+ */
+function registerAdapter(type, AdapterClass, { capabilities = [CAPABILITIES.QUOTE_EXACT_IN], override = false } = {}) {
+    const key = String(type || '').toLowerCase();
+    if (!key) throw new Error('registerAdapter: type required');
+    if (typeof AdapterClass !== 'function') throw new Error(`registerAdapter(${key}): AdapterClass must be a constructor`);
+    if (registry.has(key) && !override) {
+        throw new Error(`registerAdapter(${key}): already registered to ${registry.get(key).AdapterClass.name} (pass override: true)`);
+    }
+
+    for (const cap of capabilities) {
+        if (!KNOWN_CAPABILITIES.has(cap)) throw new Error(`registerAdapter(${key}): unknown capability '${cap}'`);
+        if (typeof AdapterClass.prototype[cap] !== 'function') {
+            throw new Error(`registerAdapter(${key}): ${AdapterClass.name} declares '${cap}' but has no ${cap}()`);
+        }
+    }
+
+    registry.set(key, { type: key, AdapterClass, capabilities: new Set(capabilities) });
+}
+
+function unregisterAdapter(type) {
+    return registry.delete(String(type || '').toLowerCase());
+}
+
+/**
+ * @param {string} type - normalizeType() key
+ * @returns {{ type: string, AdapterClass: Function, capabilities: Set<string> }}
+ */
+function getAdapterEntry(type) {
+    const entry = registry.get(String(type || '').toLowerCase());
+    if (!entry) {
+        const known = [...registry.keys()].join(', ') || 'none';
+        throw new Error(`No quoter registered for pool type '${type}' (registered: ${known})`);
+    }
+    return entry;
+}
+
+function hasCapability(type, capability) {
+    const entry = registry.get(String(type || '').toLowerCase());
+    return Boolean(entry && entry.capabilities.has(capability));
+}
+
+/**
+ * Construct (but do not init) the adapter for a pool record.
+ * @param {Object} pool - Pool record
+ * @param {Object} ctx - Engine context ({ connection, commitment, ... }) or a bare Connection
+ * @param {Object} [opts]
+ * @param {string} [opts.require] - Capability the caller needs; throws if missing
+ */
+function createAdapter(pool, ctx, { require: needed = CAPABILITIES.QUOTE_EXACT_IN } = {}) {
+    const type = normalizeType(pool);
+    const entry = getAdapterEntry(type);
+    if (needed && !entry.capabilities.has(needed)) {
+        throw new Error(`Quoter for pool type '${type}' (${entry.AdapterClass.name}) lacks capability '${needed}'`);
+    }
+    const context = ctx && ctx.connection ? ctx : { connection: ctx || null };
+    return new entry.AdapterClass(context.connection, pool.poolAddress || pool.address, pool, context);
+}
+
+function listAdapters() {
+    return [...registry.values()].map(e => ({
+        type: e.type,
+        adapter: e.AdapterClass.name,
+        capabilities: [...e.capabilities],
+    }));
+}
+
+module.exports = {
+    CAPABILITIES,
+    registerAdapter,
+    unregisterAdapter,
+    getAdapterEntry,
+    hasCapability,
+    createAdapter,
+    listAdapters,
+};
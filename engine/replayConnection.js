@@ -0,0 +1,114 @@
+'use strict';
+/**
+ * replayConnection.js - A Connection stand-in that replays recorded account updates
+ *
+ * Implements the subscription half of @solana/web3.js Connection
+ * (onAccountChange / removeAccountChangeListener) plus getSlot and
+ * getAccountInfo, so a SubscriptionManager can be driven from a file of
+ * updates captured live (subscriptionManager.js --record) instead of a
+ * websocket. Nothing here touches the network.
+ *
+ * An update is { slot, account, data } with data base64-encoded, optionally
+ * with lamports and owner. Updates are delivered in file order; an update for
+ * an account nobody subscribed to is counted as unmatched.
+ */
+
+const fs = require('fs');
+
+function keyOf(publicKey) {
+    return typeof publicKey === 'string' ? publicKey : publicKey.toBase58();
+}
+
+/** Read a JSON-lines file of recorded updates */
+function readAccountUpdates(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map((line, i) => {
+            const u = JSON.parse(line);
+            if (u.account == null || u.data == null) throw new Error(`${filePath}:${i + 1}: update needs account and data`);
+            return u;
+        });
+}
+
+class ReplayConnection {
+    /**
+     * @param {Object[]} [updates] - Recorded updates ({ slot, account, data, lamports?, owner? })
+     * @param {Object} [opts]
+     * @param {string} [opts.rpcEndpoint] - Reported as the endpoint (default 'replay://accounts')
+     */
+    constructor(updates = [], opts = {}) {
+        this.rpcEndpoint = opts.rpcEndpoint || 'replay://accounts';
+        this.updates = updates;
+        this.listeners = new Map(); // id -> { account, callback }
+        this.accounts = new Map();  // account -> last delivered AccountInfo
+        this.slot = 0;
+        this._nextId = 0;
+    }
+
+    onAccountChange(publicKey, callback) {
+        const id = this._nextId++;
+        this.listeners.set(id, { account: keyOf(publicKey), callback });
+        return id;
+    }
+
+    async removeAccountChangeListener(id) {
+        this.listeners.delete(id);
+    }
+
+    async getSlot() {
+        return this.slot;
+    }
+
+    async getAccountInfo(publicKey) {
+        return this.accounts.get(keyOf(publicKey)) || null;
+    }
+
+    /**
+     * Deliver one update to the account's listeners.
+     * @returns {number} Listeners called
+     */
+    push(update) {
+        const account = keyOf(update.account);
+        const info = {
+            data: Buffer.isBuffer(update.data) ? update.data : Buffer.from(update.data, 'base64'),
+            lamports: update.lamports ?? 0,
+            owner: update.owner ?? null,
+            executable: false,
+            rentEpoch: 0,
+        };
+        if (update.slot != null && update.slot > this.slot) this.slot = update.slot;
+        this.accounts.set(account, info);
+
+        let called = 0;
+        for (const { account: a, callback } of [...this.listeners.values()]) {
+            if (a !== account) continue;
+            callback(info, { slot: update.slot ?? this.slot });
+            called++;
+        }
+        return called;
+    }
+
+    /**
+     * Deliver every update in order, yielding to the event loop between them
+     * (or waiting delayMs) so listeners see them as separate notifications.
+     * @param {Object} [opts]
+     * @param {number} [opts.delayMs] - Pause between updates (default 0)
+     * @returns {Promise<{ delivered: number, unmatched: number }>}
+     */
+    async replay({ delayMs = 0 } = {}) {
+        let delivered = 0;
+        let unmatched = 0;
+        for (const update of this.updates) {
+            if (this.push(update) > 0) delivered++;
+            else unmatched++;
+            await new Promise(resolve => (delayMs > 0 ? setTimeout(resolve, delayMs) : setImmediate(resolve)));
+        }
+        return { delivered, unmatched };
+    }
+}
+
+module.exports = {
+    ReplayConnection,
+    readAccountUpdates,
+};
@@ -0,0 +1,271 @@
+'use strict';
+/**
+ * riskManager.js - Limits every execution has to clear before a transaction is sent
+ *
+ * simulateTriangularRoute asks check() right before executeFlashloan; a denied
+ * trade is not sent and the result carries riskDenied. Checks, in order:
+ *
+ *   kill-switch        KILL_SWITCH env set, or the kill-switch file exists
+ *                      (touch it to stop trading without restarting; rm to resume)
+ *   daily-loss-cap     realized loss since 00:00 UTC has reached maxDailyLossUsd
+ *   rate-limit         maxTradesPerMinute sent in the last 60s
+ *   trade-notional     start amount above maxNotionalUsdPerTrade
+ *   mint-notional      a hop's input above the cap for its mint (maxNotionalPerMint)
+ *
+ * A USD limit that cannot be evaluated because the route is unpriced denies
+ * the trade ('notional-unpriced'). Limits left null are not enforced; the kill
+ * switch always is.
+ *
+ * The engine calls recordSent() once a transaction is out: the trade counts
+ * towards the rate limit and the day's trades, and is booked provisionally at
+ * its worst expected outcome - the expected net loss, or at least its cost
+ * estimate (fees a reverted transaction still pays), never an expected gain.
+ * Nothing settles that automatically: whatever watches the transactions calls
+ * confirmTrade() with what each one really made, which replaces the
+ * provisional amount. Anything else can be booked with recordRealizedPnl().
+ * With stateFile the day's PnL, trade count and unconfirmed trades survive a
+ * restart.
+ *
+ * Every decision is logged (component 'risk') with its reason.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { D, TOKENS } = require('../utils/_utils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('risk');
+
+const MINUTE_MS = 60000;
+
+function dayOf(at) {
+    return new Date(at).toISOString().slice(0, 10);
+}
+
+function envFlag(value) {
+    return value != null && !['', '0', 'false', 'no', 'off'].includes(String(value).trim().toLowerCase());
+}
+
+class RiskManager {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.maxNotionalUsdPerTrade] - Largest start amount, in USD
+     * @param {Object} [opts.maxNotionalPerMint] - { mint or symbol: max atomic amount } for any hop input in that mint
+     * @param {number} [opts.maxTradesPerMinute] - Approvals allowed in any 60s window
+     * @param {number} [opts.maxDailyLossUsd] - Realized loss (positive number) that stops trading until 00:00 UTC
+     * @param {string} [opts.killSwitchFile] - Trading stops while this file exists (default: KILL_SWITCH_FILE env)
+     * @param {string} [opts.killSwitchEnv] - Env var that stops trading when set (default 'KILL_SWITCH')
+     * @param {string} [opts.stateFile] - Persists the day's realized PnL and trade count
+     * @param {Function} [opts.now] - Clock, ms (default Date.now)
+     */
+    constructor(opts = {}) {
+        this.maxNotionalUsdPerTrade = opts.maxNotionalUsdPerTrade ?? null;
+        this.maxNotionalPerMint = {};
+        for (const [mint, max] of Object.entries(opts.maxNotionalPerMint || {})) {
+            this.maxNotionalPerMint[TOKENS[mint.toUpperCase()] || mint] = String(max);
+        }
+        this.maxTradesPerMinute = opts.maxTradesPerMinute ?? null;
+        this.maxDailyLossUsd = opts.maxDailyLossUsd ?? null;
+        this.killSwitchFile = opts.killSwitchFile ?? process.env.KILL_SWITCH_FILE ?? null;
+        this.killSwitchEnv = opts.killSwitchEnv || 'KILL_SWITCH';
+        this.stateFile = opts.stateFile || null;
+        this.now = opts.now || Date.now;
+
+        this.recent = [];  // send times within the last minute
+        this.daily = { day: dayOf(this.now()), realizedPnlUsd: 0, trades: 0 };
+        this.pending = {};  // txSignature -> { id, bookedUsd }, sent today and not yet confirmed
+        this.stats = { checks: 0, allowed: 0, denied: 0, byReason: {} };
+        this._nextId = 1;
+
+        if (this.stateFile) this._loadState();
+    }
+
+    _loadState() {
+        if (!fs.existsSync(this.stateFile)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            if (saved.day === this.daily.day) {
+                this.daily = { day: saved.day, realizedPnlUsd: Number(saved.realizedPnlUsd) || 0, trades: saved.trades || 0 };
+                this.pending = saved.pending || {};
+            }
+        } catch (e) {
+            logger.warn('risk state not loaded', { file: this.stateFile, error: e });
+        }
+    }
+
+    _saveState() {
+        if (!this.stateFile) return;
+        const dir = path.dirname(this.stateFile);
+        if (dir && !fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        const tmp = `${this.stateFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ ...this.daily, pending: this.pending }));
+        fs.renameSync(tmp, this.stateFile);
+    }
+
+    // Roll the daily counters over at 00:00 UTC
+    _rollDay(at) {
+        const day = dayOf(at);
+        if (day === this.daily.day) return;
+        logger.info('daily risk counters reset', { previous: this.daily, unconfirmed: Object.keys(this.pending).length });
+        this.daily = { day, realizedPnlUsd: 0, trades: 0 };
+        // Their provisional amounts went with the old day; a later confirmTrade() books the full result
+        this.pending = {};
+        this._saveState();
+    }
+
+    /** @returns {{ killed: boolean, source: string|null }} */
+    killSwitch() {
+        if (envFlag(process.env[this.killSwitchEnv])) return { killed: true, source: `env ${this.killSwitchEnv}` };
+        if (this.killSwitchFile && fs.existsSync(this.killSwitchFile)) return { killed: true, source: `file ${this.killSwitchFile}` };
+        return { killed: false, source: null };
+    }
+
+    _limitsCheck(trade, at) {
+        const kill = this.killSwitch();
+        if (kill.killed) return { reason: 'kill-switch', detail: kill.source };
+
+        if (this.maxDailyLossUsd != null && -this.daily.realizedPnlUsd >= this.maxDailyLossUsd) {
+            return { reason: 'daily-loss-cap', detail: `realized ${this.daily.realizedPnlUsd.toFixed(2)} USD today, cap -${this.maxDailyLossUsd}` };
+        }
+
+        this.recent = this.recent.filter(t => at - t < MINUTE_MS);
+        if (this.maxTradesPerMinute != null && this.recent.length >= this.maxTradesPerMinute) {
+            return { reason: 'rate-limit', detail: `${this.recent.length} trades in the last minute, max ${this.maxTradesPerMinute}` };
+        }
+
+        if (this.maxNotionalUsdPerTrade != null) {
+            if (trade.notionalUsd == null) return { reason: 'notional-unpriced', detail: 'start amount has no USD price' };
+            if (trade.notionalUsd > this.maxNotionalUsdPerTrade) {
+                return { reason: 'trade-notional', detail: `${trade.notionalUsd.toFixed(2)} USD > max ${this.maxNotionalUsdPerTrade}` };
+            }
+        }
+
+        for (const leg of trade.legs || []) {
+            const max = this.maxNotionalPerMint[leg.mint];
+            if (max != null && D(leg.amountAtomic).gt(max)) {
+                return { reason: 'mint-notional', detail: `${leg.amountAtomic} of ${leg.mint} > max ${max}` };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Decide whether a trade may be sent. It counts towards the rate limit once recordSent() books it.
+     * @param {Object} trade
+     * @param {string} [trade.route] - Route description for the log
+     * @param {Array<{ mint: string, amountAtomic: string }>} trade.legs - Input of every hop
+     * @param {number|null} [trade.notionalUsd] - Start amount in USD
+     * @param {number|null} [trade.expectedProfitUsd]
+     * @returns {{ allowed: boolean, id: number, reason: string, detail: string|null, at: number }}
+     */
+    check(trade) {
+        const at = this.now();
+        this._rollDay(at);
+        this.stats.checks++;
+
+        const denied = this._limitsCheck(trade, at);
+        const decision = {
+            allowed: !denied,
+            id: this._nextId++,
+            reason: denied ? denied.reason : 'within-limits',
+            detail: denied ? denied.detail : null,
+            at,
+        };
+        this.stats[decision.allowed ? 'allowed' : 'denied']++;
+        this.stats.byReason[decision.reason] = (this.stats.byReason[decision.reason] || 0) + 1;
+
+        const fields = {
+            id: decision.id,
+            reason: decision.reason,
+            ...(decision.detail ? { detail: decision.detail } : {}),
+            route: trade.route,
+            notionalUsd: trade.notionalUsd ?? null,
+            expectedProfitUsd: trade.expectedProfitUsd ?? null,
+        };
+        if (decision.allowed) {
+            logger.info('trade allowed', fields);
+        } else {
+            logger.warn('trade denied', fields);
+        }
+        return decision;
+    }
+
+    /**
+     * Book the realized result of a trade (negative for a loss, fees included).
+     * @param {number} pnlUsd
+     * @param {Object} [ref] - { id, txSignature } for the log
+     */
+    recordRealizedPnl(pnlUsd, ref = {}) {
+        const at = this.now();
+        this._rollDay(at);
+        const before = this.daily.realizedPnlUsd;
+        this.daily.realizedPnlUsd += Number(pnlUsd);
+        this._saveState();
+        logger.info('realized pnl', { ...ref, pnlUsd, dayPnlUsd: this.daily.realizedPnlUsd });
+
+        if (this.maxDailyLossUsd != null && -before < this.maxDailyLossUsd && -this.daily.realizedPnlUsd >= this.maxDailyLossUsd) {
+            logger.error('daily loss cap reached, trading stopped until 00:00 UTC', {
+                dayPnlUsd: this.daily.realizedPnlUsd,
+                maxDailyLossUsd: this.maxDailyLossUsd
+            });
+        }
+        return this.daily;
+    }
+
+    /**
+     * Count a sent trade and book it at min(expected net PnL, -cost) until confirmTrade() settles it.
+     * @param {Object} decision - The check() decision that allowed the trade
+     * @param {Object} sent
+     * @param {string} sent.txSignature
+     * @param {number|null} [sent.expectedPnlUsd] - Expected net PnL (costs included)
+     * @param {number|null} [sent.costUsd] - Fees, tip and rent the transaction pays even if it reverts
+     */
+    recordSent(decision, { txSignature, expectedPnlUsd = null, costUsd = null }) {
+        const usd = v => (v != null && Number.isFinite(Number(v)) ? Number(v) : 0);
+        const bookedUsd = Math.min(0, usd(expectedPnlUsd), -Math.abs(usd(costUsd))) || 0;
+        const at = this.now();
+        this._rollDay(at);
+        this.recent.push(at);
+        this.daily.trades++;
+        this.pending[txSignature] = { id: decision.id, bookedUsd };
+        return this.recordRealizedPnl(bookedUsd, { id: decision.id, txSignature, provisional: true });
+    }
+
+    /**
+     * Replace a sent trade's provisional PnL with its realized result (negative for a
+     * loss, fees included; a transaction that failed on-chain is just its fees).
+     * @param {string} txSignature
+     * @param {number} realizedPnlUsd
+     */
+    confirmTrade(txSignature, realizedPnlUsd) {
+        this._rollDay(this.now());
+        const sent = this.pending[txSignature];
+        delete this.pending[txSignature];
+        const correction = Number(realizedPnlUsd) - (sent ? sent.bookedUsd : 0);
+        return this.recordRealizedPnl(correction, { id: sent?.id, txSignature, realizedPnlUsd: Number(realizedPnlUsd) });
+    }
+
+    getStatus() {
+        const at = this.now();
+        this._rollDay(at);
+        return {
+            killSwitch: this.killSwitch(),
+            day: this.daily.day,
+            realizedPnlUsd: this.daily.realizedPnlUsd,
+            tradesToday: this.daily.trades,
+            unconfirmed: Object.keys(this.pending).length,
+            tradesLastMinute: this.recent.filter(t => at - t < MINUTE_MS).length,
+            limits: {
+                maxNotionalUsdPerTrade: this.maxNotionalUsdPerTrade,
+                maxNotionalPerMint: this.maxNotionalPerMint,
+                maxTradesPerMinute: this.maxTradesPerMinute,
+                maxDailyLossUsd: this.maxDailyLossUsd,
+            },
+            stats: { ...this.stats, byReason: { ...this.stats.byReason } },
+        };
+    }
+}
+
+module.exports = {
+    RiskManager,
+};
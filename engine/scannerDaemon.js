@@ -0,0 +1,588 @@
+'use strict';
+/**
+ * scannerDaemon.js - Scan the active pool set on a schedule until told to stop
+ *
+ * Every cycle:
+ *   1. reloads the pool file if it changed on disk (the active pool set),
+ *   2. re-enriches reserves over RPC (_enrich_reserves.js) and drops pools
+ *      validatePools() rejects,
+ *   3. rebuilds the price oracle and re-enumerates triangles from the anchors,
+ *   4. scans the ones profitable at mid price (the negative-cycle pre-filter)
+ *      with one long-lived engine, so adapters and the quote cache stay warm
+ *      across cycles,
+ *   5. passes the results that clear the cost model through an
+ *      OpportunityTracker and hands the ones it emits (new, or materially
+ *      more profitable than last reported) to every sink.
+ *
+ * Cycles never overlap. A cycle that runs past its interval drops the ticks it
+ * missed instead of queueing them, and halves the triangle budget for the next
+ * one; the budget grows back once cycles finish inside half the interval.
+ *
+ * stop() (SIGINT/SIGTERM from the CLI) stops handing out triangles, lets the
+ * ones in flight finish, emits what the cycle found, closes the sinks and
+ * writes a final heartbeat. A second signal exits at once.
+ *
+ * The heartbeat file is rewritten on every state change and after every cycle:
+ * { status, pid, cycles, lastCycle, nextCycleAt, ... }. A monitor can alert
+ * when updatedAt stops moving or lastCycle.error is set.
+ *
+ * A sink is any { name, emit(opportunities, cycle), close() } (close optional),
+ * or a bare function taking (opportunities, cycle). Sinks are awaited in turn;
+ * a slow sink stretches the cycle and so feeds the back-pressure above. A sink
+ * that throws is logged and skipped for that cycle.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { D, TOKENS, normalizeType } = require('../utils/_utils');
+const { createEngine } = require('./triArbitrage');
+const { enumerateTriangles } = require('./triangleGraph');
+const { buildPriceOracle } = require('./priceOracle');
+const { clearsMinNetProfit } = require('./costModel');
+const { OpportunityTracker } = require('./opportunityTracker');
+const { hasCapability, CAPABILITIES } = require('./quoterRegistry');
+const { writeValidatedJson } = require('./schema');
+const { writePrometheusFile } = require('./metrics');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('daemon');
+
+function poolsFromDoc(doc) {
+    const pools = Array.isArray(doc) ? doc : doc?.pools;
+    if (!Array.isArray(pools)) throw new Error('pool file has no pools array');
+    return pools;
+}
+
+function reservesKey(pool) {
+    return `${pool.xReserve ?? ''}|${pool.yReserve ?? ''}`;
+}
+
+// ============================================================================
+// SINKS
+// ============================================================================
+
+/** One line per opportunity on stdout */
+function consoleSink() {
+    return {
+        name: 'console',
+        emit(opportunities, cycle) {
+            for (const r of opportunities) {
+                const usd = r.netProfitUsd != null ? `$${r.netProfitUsd.toFixed(2)}` : '$?';
+                console.log(`[cycle ${cycle.cycle}] ${usd.padStart(10)}  ${D(r.netProfitPct ?? r.profitPct).toFixed(4)}%  ${r.key}`);
+            }
+        },
+    };
+}
+
+/** Appends one JSON line per opportunity, stamped with the cycle number and time */
+function jsonlSink(filePath) {
+    const dir = path.dirname(filePath);
+    if (dir && !fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    return {
+        name: `jsonl:${filePath}`,
+        async emit(opportunities, cycle) {
+            if (opportunities.length === 0) return;
+            const at = new Date(cycle.startedAt).toISOString();
+            const lines = opportunities.map(r => JSON.stringify({ cycle: cycle.cycle, at, ...r }, (k, v) => (k === 'triangle' ? undefined : v)));
+            await fs.promises.appendFile(filePath, lines.join('\n') + '\n');
+        },
+    };
+}
+
+/** Overwrites a scanReport file with the latest cycle's ranked results */
+function scanReportSink(filePath) {
+    return {
+        name: `report:${filePath}`,
+        emit(opportunities, cycle) {
+            writeValidatedJson(filePath, 'scanReport', {
+                cycle: cycle.cycle,
+                summary: cycle.scan,
+                ranked: opportunities.map(({ triangle, ...r }) => r),
+            });
+        },
+    };
+}
+
+function normalizeSink(sink, i) {
+    if (typeof sink === 'function') return { name: sink.name || `sink${i}`, emit: sink };
+    if (!sink || typeof sink.emit !== 'function') throw new Error(`ScannerDaemon: sink ${i} has no emit()`);
+    return { name: sink.name || `sink${i}`, ...sink, emit: sink.emit.bind(sink), close: sink.close?.bind(sink) };
+}
+
+// ============================================================================
+// DAEMON
+// ============================================================================
+
+class ScannerDaemon {
+    /**
+     * @param {Object} opts
+     * @param {string} [opts.poolsFile] - Active pool set, re-read when its mtime changes
+     * @param {Object[]} [opts.pools] - Active pool set, in place of poolsFile
+     * @param {number} [opts.intervalMs] - Time between cycle starts (default 30000)
+     * @param {boolean} [opts.enrich] - Re-enrich reserves every cycle (default true)
+     * @param {Function} [opts.enrichReserves] - (pools, connection, options) => pools, in place of _enrich_reserves.js
+     * @param {Object} [opts.enrichOptions] - Passed to enrichReserves (default { forceRefresh: true })
+     * @param {string[]} [opts.anchors] - Start mints (default SOL, USDC)
+     * @param {number} [opts.notionalUsd] - Start amount per anchor in USD (default 1000)
+     * @param {string|Object|Function} [opts.dxAtomic] - Start amounts, as in scanTriangles
+     * @param {number} [opts.maxTriangles] - Triangle budget per cycle (default 500)
+     * @param {number} [opts.minTriangles] - Floor the budget is never cut below (default 25)
+     * @param {number} [opts.concurrency] - Triangles in flight (default 8)
+     * @param {number} [opts.timeoutMs] - Per-triangle timeout (default 15000)
+     * @param {boolean|Object} [opts.preFilter] - Skip triangles not profitable at mid price, as in scanTriangles (default true)
+     * @param {Object} [opts.costs] - Cost model config; minNetProfitAtomic is the opportunity threshold
+     * @param {Object} [opts.slippage] - Route slippage budget
+     * @param {number} [opts.maxProfitPct] - Unrealistic-profit threshold
+     * @param {number} [opts.minNetProfitUsd] - Extra threshold on netProfitUsd
+     * @param {Array<Object|Function>} [opts.sinks] - Where opportunities go (default: console)
+     * @param {OpportunityTracker|Object|false} [opts.tracker] - Dedup and cooldowns: a tracker, its options,
+     *   or false to hand every sighting to the sinks (default: a tracker with default options)
+     * @param {string} [opts.heartbeatFile] - Rewritten on every state change
+     * @param {string} [opts.metricsFile] - Prometheus text file rewritten after every cycle
+     * @param {number} [opts.maxCycles] - Stop by itself after this many cycles (default: run until stop())
+     * @param {number} [opts.shutdownTimeoutMs] - How long stop() waits for the running cycle (default 30000)
+     * @param {Object} [opts.engine] - Existing createEngine() result
+     * @param {Object} [opts.engineOpts] - createEngine options when no engine is given (connection, rpcUrl, adapterPool, ...)
+     */
+    constructor(opts = {}) {
+        if (!opts.poolsFile && !Array.isArray(opts.pools)) throw new Error('ScannerDaemon: poolsFile or pools required');
+
+        this.poolsFile = opts.poolsFile || null;
+        this.basePools = opts.pools || null;
+        this.intervalMs = opts.intervalMs ?? 30000;
+        this.enrich = opts.enrich ?? true;
+        this.enrichReserves = opts.enrichReserves || null;
+        this.enrichOptions = opts.enrichOptions || { forceRefresh: true };
+        this.anchors = opts.anchors || [TOKENS.SOL, TOKENS.USDC];
+        this.notionalUsd = opts.notionalUsd ?? 1000;
+        this.dxAtomic = opts.dxAtomic ?? null;
+        this.maxTriangles = opts.maxTriangles ?? 500;
+        this.minTriangles = Math.min(opts.minTriangles ?? 25, this.maxTriangles);
+        this.concurrency = opts.concurrency ?? 8;
+        this.timeoutMs = opts.timeoutMs ?? 15000;
+        this.preFilter = opts.preFilter ?? true;
+        this.costs = opts.costs || null;
+        this.slippage = opts.slippage || null;
+        this.maxProfitPct = opts.maxProfitPct ?? null;
+        this.minNetProfitUsd = opts.minNetProfitUsd ?? null;
+        this.sinks = (opts.sinks || [consoleSink()]).map(normalizeSink);
+        this.tracker = opts.tracker === false ? null
+            : opts.tracker instanceof OpportunityTracker ? opts.tracker
+                : new OpportunityTracker(opts.tracker || {});
+        this.heartbeatFile = opts.heartbeatFile || null;
+        this.metricsFile = opts.metricsFile || null;
+        this.maxCycles = opts.maxCycles ?? null;
+        this.shutdownTimeoutMs = opts.shutdownTimeoutMs ?? 30000;
+
+        // The engine's execution cooldowns land in the same tracker the sinks are filtered by
+        this.engine = opts.engine || createEngine({
+            ...(opts.engineOpts || {}),
+            costs: this.costs,
+            slippage: this.slippage,
+            maxProfitPct: this.maxProfitPct,
+            ...(this.tracker ? { tracker: this.tracker } : {})
+        });
+
+        this.status = 'idle';
+        this.startedAt = null;
+        this.cycles = 0;
+        this.budget = this.maxTriangles;
+        this.stats = { opportunities: 0, emitted: 0, errors: 0, overruns: 0, skippedTicks: 0, sinkErrors: 0 };
+        this.lastCycle = null;
+        this.nextCycleAt = null;
+
+        this._pools = null;
+        this._poolsMtime = null;
+        this._reserves = new Map(); // address -> reserves the adapter was built from
+        this._abort = null;
+        this._wake = null;
+        this._loop = null;
+        this._stopReason = null;
+    }
+
+    get stopping() {
+        return this._stopReason != null;
+    }
+
+    // The active pool set, re-read from poolsFile when it changed on disk
+    _loadPools() {
+        if (!this.poolsFile) return this.basePools.map(p => ({ ...p }));
+
+        const mtime = fs.statSync(this.poolsFile).mtimeMs;
+        if (this._pools && mtime === this._poolsMtime) return this._pools;
+
+        const pools = poolsFromDoc(JSON.parse(fs.readFileSync(this.poolsFile, 'utf8')));
+        if (this._pools) logger.info('pool file changed, reloaded', { file: this.poolsFile, pools: pools.length });
+        this._pools = pools;
+        this._poolsMtime = mtime;
+        return pools;
+    }
+
+    async _enrich(pools) {
+        // Required lazily: the enricher pulls in the reserve fetcher and dotenv
+        const enricher = require('../_enrich_reserves');
+        const enrich = this.enrichReserves || enricher.enrichReserves;
+        await enrich(pools, this.engine.context.connection, this.enrichOptions);
+        return enricher.validatePools(pools);
+    }
+
+    // Adapters that cannot refresh themselves (cpmm) quote from the reserves they were built with
+    _dropStaleAdapters(pools) {
+        let dropped = 0;
+        for (const pool of pools) {
+            const address = String(pool.poolAddress || pool.address);
+            const key = reservesKey(pool);
+            const before = this._reserves.get(address);
+            this._reserves.set(address, key);
+            if (before == null || before === key) continue;
+            if (hasCapability(normalizeType(pool), CAPABILITIES.REFRESH)) continue;
+            if (this.engine.adapterPool.invalidate(address)) dropped++;
+        }
+        return dropped;
+    }
+
+    _isOpportunity(r) {
+        return clearsMinNetProfit(r.costs, this.costs)
+            && r.slippage?.ok
+            && (this.minNetProfitUsd == null || (r.netProfitUsd != null && r.netProfitUsd >= this.minNetProfitUsd));
+    }
+
+    /**
+     * One enrich -> enumerate -> scan -> emit pass. Does not throw; a failed
+     * cycle comes back with `error` set.
+     * @returns {Promise<Object>} { cycle, startedAt, durationMs, pools, triangles, budget, scan, opportunities, error }
+     */
+    async runCycle() {
+        const cycle = {
+            cycle: ++this.cycles,
+            startedAt: Date.now(),
+            durationMs: null,
+            pools: 0,
+            triangles: 0,
+            budget: this.budget,
+            adaptersDropped: 0,
+            scan: null,
+            opportunities: 0,
+            emitted: 0,
+            error: null,
+        };
+        this._setStatus('scanning');
+
+        try {
+            let pools = this._loadPools();
+            if (this.enrich) pools = await this._enrich(pools);
+            cycle.pools = pools.length;
+            cycle.adaptersDropped = this._dropStaleAdapters(pools);
+
+            if (!this.stopping) {
+                const priceOracle = buildPriceOracle(pools);
+                this.engine.setPriceOracle(priceOracle);
+
+                const triangles = await enumerateTriangles(pools, { anchors: this.anchors, limit: this.budget });
+                cycle.triangles = triangles.length;
+
+                this._abort = new AbortController();
+                const { ranked, summary } = await this.engine.scanTriangles(triangles, {
+                    dxAtomic: this.dxAtomic,
+                    notionalUsd: this.notionalUsd,
+                    anchors: this.anchors,
+                    concurrency: this.concurrency,
+                    timeoutMs: this.timeoutMs,
+                    preFilter: this.preFilter,
+                    priceOracle,
+                    signal: this._abort.signal
+                });
+                cycle.scan = summary;
+
+                const opportunities = ranked.filter(r => this._isOpportunity(r));
+                const emitted = this.tracker ? this.tracker.filter(opportunities, cycle.startedAt) : opportunities;
+                this.tracker?.sweep(cycle.startedAt);
+                cycle.opportunities = opportunities.length;
+                cycle.emitted = emitted.length;
+                this.stats.opportunities += opportunities.length;
+                this.stats.emitted += emitted.length;
+                await this._emit(emitted, cycle);
+            }
+        } catch (e) {
+            cycle.error = e.message;
+            this.stats.errors++;
+            logger.error('cycle failed', { cycle: cycle.cycle, error: e });
+        } finally {
+            this._abort = null;
+        }
+
+        cycle.durationMs = Date.now() - cycle.startedAt;
+        this.lastCycle = cycle;
+        logger.info('cycle done', {
+            cycle: cycle.cycle,
+            durationMs: cycle.durationMs,
+            pools: cycle.pools,
+            triangles: cycle.triangles,
+            filtered: cycle.scan?.filtered ?? 0,
+            ok: cycle.scan?.ok ?? 0,
+            opportunities: cycle.opportunities,
+            emitted: cycle.emitted,
+            ...(cycle.scan?.aborted ? { aborted: true, skipped: cycle.scan.skipped } : {})
+        });
+        if (this.metricsFile) {
+            try {
+                writePrometheusFile(this.engine.metrics, this.metricsFile);
+            } catch (e) {
+                logger.warn('metrics file not written', { file: this.metricsFile, error: e });
+            }
+        }
+        return cycle;
+    }
+
+    async _emit(opportunities, cycle) {
+        for (const sink of this.sinks) {
+            try {
+                await sink.emit(opportunities, cycle);
+            } catch (e) {
+                this.stats.sinkErrors++;
+                logger.warn('sink failed', { sink: sink.name, cycle: cycle.cycle, error: e });
+            }
+        }
+    }
+
+    // Back-pressure: drop missed ticks, and halve the triangle budget after an overrun
+    _schedule(cycle) {
+        const elapsed = cycle.durationMs;
+        if (elapsed > this.intervalMs) {
+            const missed = Math.floor(elapsed / this.intervalMs);
+            this.stats.overruns++;
+            this.stats.skippedTicks += missed;
+            const budget = Math.max(this.minTriangles, Math.floor(this.budget / 2));
+            logger.warn('cycle overran its interval', {
+                cycle: cycle.cycle,
+                durationMs: elapsed,
+                intervalMs: this.intervalMs,
+                skippedTicks: missed,
+                budget
+            });
+            this.budget = budget;
+            return cycle.startedAt + (missed + 1) * this.intervalMs;
+        }
+        if (elapsed < this.intervalMs / 2 && this.budget < this.maxTriangles) {
+            this.budget = Math.min(this.maxTriangles, this.budget * 2);
+            logger.debug('triangle budget raised', { budget: this.budget });
+        }
+        return cycle.startedAt + this.intervalMs;
+    }
+
+    _sleepUntil(at) {
+        const ms = Math.max(0, at - Date.now());
+        return new Promise(resolve => {
+            const timer = setTimeout(() => { this._wake = null; resolve(); }, ms);
+            this._wake = () => { clearTimeout(timer); this._wake = null; resolve(); };
+        });
+    }
+
+    /**
+     * Run cycles until stop() or maxCycles.
+     * @returns {Promise<Object>} Final status (see getStatus)
+     */
+    start() {
+        if (this._loop) return this._loop;
+        this.startedAt = Date.now();
+        logger.info('daemon started', {
+            poolsFile: this.poolsFile,
+            intervalMs: this.intervalMs,
+            maxTriangles: this.maxTriangles,
+            sinks: this.sinks.map(s => s.name)
+        });
+
+        this._loop = (async () => {
+            while (!this.stopping) {
+                const cycle = await this.runCycle();
+                if (this.maxCycles != null && this.cycles >= this.maxCycles) {
+                    this._stopReason = 'max-cycles';
+                    break;
+                }
+                if (this.stopping) break;
+                this.nextCycleAt = this._schedule(cycle);
+                this._setStatus('idle');
+                await this._sleepUntil(this.nextCycleAt);
+            }
+            this.nextCycleAt = null;
+            await this._closeSinks();
+            this._setStatus('stopped');
+            logger.info('daemon stopped', { reason: this._stopReason, cycles: this.cycles, ...this.stats });
+            return this.getStatus();
+        })();
+        return this._loop;
+    }
+
+    /**
+     * Ask the loop to finish. Resolves once the running cycle has emitted and
+     * the sinks are closed, or after shutdownTimeoutMs.
+     * @param {string} [reason]
+     * @returns {Promise<boolean>} false when the running cycle did not finish in time
+     */
+    async stop(reason = 'stop') {
+        if (!this.stopping) {
+            this._stopReason = reason;
+            logger.info('stopping', { reason, status: this.status });
+            this._setStatus('stopping');
+            this._abort?.abort();
+            this._wake?.();
+        }
+        if (!this._loop) return true;
+
+        let timer;
+        const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(false), this.shutdownTimeoutMs); });
+        const finished = await Promise.race([this._loop.then(() => true), timedOut]);
+        clearTimeout(timer);
+        if (!finished) logger.warn('shutdown timed out, cycle still running', { timeoutMs: this.shutdownTimeoutMs });
+        return finished;
+    }
+
+    async _closeSinks() {
+        for (const sink of this.sinks) {
+            if (!sink.close) continue;
+            try {
+                await sink.close();
+            } catch (e) {
+                logger.warn('sink close failed', { sink: sink.name, error: e });
+            }
+        }
+    }
+
+    getStatus() {
+        return {
+            status: this.status,
+            pid: process.pid,
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            stopReason: this._stopReason,
+            intervalMs: this.intervalMs,
+            cycles: this.cycles,
+            budget: this.budget,
+            nextCycleAt: this.nextCycleAt ? new Date(this.nextCycleAt).toISOString() : null,
+            lastCycle: this.lastCycle && {
+                ...this.lastCycle,
+                startedAt: new Date(this.lastCycle.startedAt).toISOString(),
+                scan: this.lastCycle.scan && { ...this.lastCycle.scan, reasons: undefined },
+            },
+            stats: { ...this.stats },
+            tracker: this.tracker ? this.tracker.getStats() : null,
+        };
+    }
+
+    _setStatus(status) {
+        this.status = status;
+        if (!this.heartbeatFile) return;
+        try {
+            writeValidatedJson(this.heartbeatFile, 'heartbeat', { updatedAt: new Date().toISOString(), ...this.getStatus() });
+        } catch (e) {
+            logger.warn('heartbeat not written', { file: this.heartbeatFile, error: e });
+        }
+    }
+}
+
+module.exports = {
+    ScannerDaemon,
+    consoleSink,
+    jsonlSink,
+    scanReportSink,
+};
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(args) {
+    const opts = {
+        poolsFile: null,
+        intervalMs: 30000,
+        anchors: null,
+        notionalUsd: 1000,
+        maxTriangles: 500,
+        minNetProfitUsd: null,
+        maxCycles: null,
+        tracker: {},
+        enrich: true,
+        preFilter: true,
+        heartbeatFile: null,
+        metricsFile: process.env.METRICS_FILE || null,
+        jsonl: null,
+        report: null,
+        rpcUrl: null,
+    };
+    for (const arg of args) {
+        if (arg.startsWith('--')) {
+            const [key, val] = arg.slice(2).split('=');
+            switch (key) {
+                case 'interval': opts.intervalMs = Number(val) * 1000; break;
+                case 'anchors': opts.anchors = val.split(',').map(a => TOKENS[a.toUpperCase()] || a); break;
+                case 'notional-usd': opts.notionalUsd = Number(val); break;
+                case 'max-triangles': opts.maxTriangles = parseInt(val); break;
+                case 'min-net-usd': opts.minNetProfitUsd = Number(val); break;
+                case 'max-cycles': opts.maxCycles = parseInt(val); break;
+                case 'min-increase-pct': if (opts.tracker) opts.tracker.minIncreasePct = Number(val); break;
+                case 'expire': if (opts.tracker) opts.tracker.expireMs = Number(val) * 1000; break;
+                case 'no-dedup': opts.tracker = false; break;
+                case 'no-enrich': opts.enrich = false; break;
+                case 'no-prefilter': opts.preFilter = false; break;
+                case 'heartbeat': opts.heartbeatFile = val; break;
+                case 'metrics': opts.metricsFile = val; break;
+                case 'jsonl': opts.jsonl = val; break;
+                case 'report': opts.report = val; break;
+                case 'rpc': opts.rpcUrl = val; break;
+            }
+        } else if (!opts.poolsFile) {
+            opts.poolsFile = arg;
+        }
+    }
+    return opts;
+}
+
+if (require.main === module) {
+    const opts = parseArgs(process.argv.slice(2));
+    if (!opts.poolsFile) {
+        console.log('Usage: node engine/scannerDaemon.js <pools.json> [options]');
+        console.log('\nOptions:');
+        console.log('  --interval=<s>         Seconds between cycle starts (default 30)');
+        console.log('  --anchors=SOL,USDC     Start mints, symbols or addresses (default SOL,USDC)');
+        console.log('  --notional-usd=<n>     Start amount per anchor in USD (default 1000)');
+        console.log('  --max-triangles=<n>    Triangle budget per cycle (default 500)');
+        console.log('  --min-net-usd=<n>      Only emit opportunities netting at least this much');
+        console.log('  --max-cycles=<n>       Exit after n cycles');
+        console.log('  --min-increase-pct=<n> Re-emit a known opportunity once its profit is up this much (default 25)');
+        console.log('  --expire=<s>           Forget opportunities unseen this long (default 60)');
+        console.log('  --no-dedup             Emit every sighting, every cycle');
+        console.log('  --no-enrich            Scan the reserves in the pool file as they are');
+        console.log('  --no-prefilter         Quote every triangle, not only those profitable at mid price');
+        console.log('  --heartbeat=<file>     Heartbeat file (kind heartbeat)');
+        console.log('  --metrics=<file>       Prometheus text file (default: METRICS_FILE env)');
+        console.log('  --jsonl=<file>         Append opportunities as JSON lines');
+        console.log('  --report=<file>        Latest cycle as a scanReport');
+        console.log('  --rpc=<url>            RPC endpoint (default: RPC_URL env)');
+        process.exit(1);
+    }
+
+    const sinks = [consoleSink()];
+    if (opts.jsonl) sinks.push(jsonlSink(opts.jsonl));
+    if (opts.report) sinks.push(scanReportSink(opts.report));
+
+    const daemon = new ScannerDaemon({ ...opts, sinks, engineOpts: { rpcUrl: opts.rpcUrl } });
+
+    let signals = 0;
+    const onSignal = (signal) => {
+        if (++signals > 1) {
+            logger.warn('second signal, exiting now', { signal });
+            process.exit(130);
+        }
+        daemon.stop(signal);
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+
+    daemon.start().then(status => {
+        console.log(`Stopped after ${status.cycles} cycle(s): ${status.stats.opportunities} opportunities (${status.stats.emitted} emitted), ${status.stats.errors} failed cycle(s), ${status.stats.overruns} overrun(s)`);
+        // Keep-alive sockets from the RPC connection would hold the process open
+        process.exit(status.stats.errors && status.stats.errors === status.cycles ? 1 : 0);
+    }).catch(e => {
+        console.error(e.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,454 @@
+'use strict';
+/**
+ * schema.js - Versioned JSON Schemas for pool records, quotes and route results
+ *
+ * Everything written to output/ goes through writeValidatedJson(): the payload
+ * is stamped with { schemaVersion, kind, generatedAt }, checked against the
+ * schema for its kind, and only then written. A file that fails validation is
+ * never written, so dashboards and the backtester can rely on the shape.
+ *
+ * Schemas are plain JSON Schema (draft-07). validate() implements the subset
+ * used here: type, enum, const, pattern, minimum, required, properties,
+ * additionalProperties, items, anyOf and local $ref. `node engine/schema.js <kind>`
+ * prints a schema for external tools.
+ *
+ * Bump SCHEMA_VERSION whenever a field is removed or changes meaning; adding
+ * optional fields does not need a bump.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_VERSION = 1;
+
+const definitions = {
+    atomic: { type: 'string', pattern: '^-?\\d+$' },
+    decimal: { type: 'string', pattern: '^-?(\\d+\\.?\\d*|\\.\\d+)([eE][+-]?\\d+)?$' },
+    address: { type: 'string', pattern: '^[1-9A-HJ-NP-Za-km-z]{32,44}$' },
+    numberOrNull: { type: ['number', 'null'] },
+
+    pool: {
+        type: 'object',
+        required: ['baseMint', 'quoteMint'],
+        anyOf: [{ required: ['poolAddress'] }, { required: ['address'] }],
+        properties: {
+            poolAddress: { $ref: '#/definitions/address' },
+            address: { $ref: '#/definitions/address' },
+            dex: { type: 'string' },
+            type: { type: 'string' },
+            baseMint: { $ref: '#/definitions/address' },
+            quoteMint: { $ref: '#/definitions/address' },
+            baseDecimals: { type: ['integer', 'string', 'null'] },
+            quoteDecimals: { type: ['integer', 'string', 'null'] },
+            xReserve: { type: ['string', 'number', 'null'] },
+            yReserve: { type: ['string', 'number', 'null'] },
+            feeRate: { type: ['number', 'string', 'null'] },
+        },
+    },
+
+    // Standard adapter quote (see quoterRegistry.js)
+    quote: {
+        type: 'object',
+        required: ['success'],
+        anyOf: [
+            { properties: { success: { const: false } } },
+            { required: ['inAmountRaw', 'outAmountRaw', 'poolAddress'] },
+        ],
+        properties: {
+            success: { type: 'boolean' },
+            error: { type: ['string', 'null'] },
+            inAmountRaw: { $ref: '#/definitions/atomic' },
+            outAmountRaw: { $ref: '#/definitions/atomic' },
+            minOutAmountRaw: { $ref: '#/definitions/atomic' },
+            maxInAmountRaw: { $ref: '#/definitions/atomic' },
+            inAmountDecimal: { $ref: '#/definitions/numberOrNull' },
+            outAmountDecimal: { $ref: '#/definitions/numberOrNull' },
+            executionPrice: { $ref: '#/definitions/numberOrNull' },
+            priceImpact: { $ref: '#/definitions/numberOrNull' },
+            fee: { type: ['number', 'string', 'null'] },
+            poolAddress: { type: 'string' },
+            dexType: { type: 'string' },
+            swapForY: { type: 'boolean' },
+            binArrays: { type: 'array', items: { type: 'string' } },
+            exactOut: { type: 'boolean' },
+        },
+    },
+
+    routeLeg: {
+        type: 'object',
+        required: ['ok'],
+        anyOf: [
+            { properties: { ok: { const: false } }, required: ['reason'] },
+            { required: ['dxAtomic', 'dyAtomic', 'via'] },
+        ],
+        properties: {
+            ok: { type: 'boolean' },
+            reason: { type: 'string' },
+            via: { type: 'string' },
+            poolAddress: { type: ['string', 'null'] },
+            type: { type: 'string' },
+            dex: { type: 'string' },
+            dxAtomic: { $ref: '#/definitions/atomic' },
+            dyAtomic: { $ref: '#/definitions/atomic' },
+            maxDxAtomic: { $ref: '#/definitions/atomic' },
+            inDecimals: { type: ['integer', 'null'] },
+            outDecimals: { type: ['integer', 'null'] },
+            isSdkVerified: { type: 'boolean' },
+            split: { type: 'boolean' },
+            splits: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['poolAddress', 'dxAtomic', 'dyAtomic'],
+                    properties: {
+                        poolAddress: { type: 'string' },
+                        dxAtomic: { $ref: '#/definitions/atomic' },
+                        dyAtomic: { $ref: '#/definitions/atomic' },
+                    },
+                },
+            },
+        },
+    },
+
+    // simulateCycleRoute / simulateTriangularRoute / evaluateCycleOrientations best
+    routeResult: {
+        type: 'object',
+        required: ['ok'],
+        anyOf: [
+            { properties: { ok: { const: false } }, required: ['reason'] },
+            { required: ['schemaVersion', 'legs', 'dxAtomic', 'outAtomic', 'profitAtomic', 'profitPct', 'pools'] },
+        ],
+        properties: {
+            schemaVersion: { const: SCHEMA_VERSION },
+            ok: { type: 'boolean' },
+            reason: { type: 'string' },
+            mode: { enum: ['exact-in', 'exact-out'] },
+            direction: { enum: ['forward', 'reverse'] },
+            startMint: { $ref: '#/definitions/address' },
+            legs: { type: 'array', items: { $ref: '#/definitions/routeLeg' } },
+            mints: { type: 'array', items: { $ref: '#/definitions/address' } },
+            hops: { type: 'integer', minimum: 2 },
+            dxAtomic: { $ref: '#/definitions/atomic' },
+            outAtomic: { $ref: '#/definitions/atomic' },
+            profitAtomic: { $ref: '#/definitions/atomic' },
+            profitPct: { $ref: '#/definitions/decimal' },
+            profitUsd: { $ref: '#/definitions/numberOrNull' },
+            netProfitAtomic: { anyOf: [{ $ref: '#/definitions/atomic' }, { type: 'null' }] },
+            netProfitPct: { anyOf: [{ $ref: '#/definitions/decimal' }, { type: 'null' }] },
+            netProfitUsd: { $ref: '#/definitions/numberOrNull' },
+            costs: { type: 'object' },
+            slippage: { type: 'object', required: ['ok'] },
+            sizing: { type: 'object', required: ['ok'] },
+            isSdkVerified: { type: 'boolean' },
+            pools: {
+                type: 'array',
+                items: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+            },
+            types: { type: 'array' },
+            vias: { type: 'array', items: { type: 'string' } },
+            txSignature: { type: 'string' },
+        },
+    },
+
+    envelope: {
+        type: 'object',
+        required: ['schemaVersion', 'kind', 'generatedAt'],
+        properties: {
+            schemaVersion: { const: SCHEMA_VERSION },
+            kind: { type: 'string' },
+            generatedAt: { type: 'string' },
+        },
+    },
+};
+
+function fileSchema(kind, required, properties) {
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: `tri-arb/${kind}/v${SCHEMA_VERSION}`,
+        definitions,
+        type: 'object',
+        required: ['schemaVersion', 'kind', 'generatedAt', ...required],
+        properties: {
+            ...definitions.envelope.properties,
+            kind: { const: kind },
+            ...properties,
+        },
+    };
+}
+
+// Top-level schemas, one per kind of output file (plus the record kinds themselves)
+const SCHEMAS = {
+    pool: { $schema: 'http://json-schema.org/draft-07/schema#', definitions, $ref: '#/definitions/pool' },
+    quote: { $schema: 'http://json-schema.org/draft-07/schema#', definitions, $ref: '#/definitions/quote' },
+    routeResult: { $schema: 'http://json-schema.org/draft-07/schema#', definitions, $ref: '#/definitions/routeResult' },
+
+    // _enrich_reserves.js
+    pools: fileSchema('pools', ['pools'], {
+        pools: { type: 'array', items: { $ref: '#/definitions/pool' } },
+    }),
+    // engine/Q_dlmm.js CLI
+    quoteReport: fileSchema('quoteReport', ['poolAddress', 'amount'], {
+        poolAddress: { $ref: '#/definitions/address' },
+        amount: { $ref: '#/definitions/atomic' },
+        fastQuote: { $ref: '#/definitions/quote' },
+        exactQuote: { $ref: '#/definitions/quote' },
+    }),
+    // _runner_triArbitrage.js
+    scanReport: fileSchema('scanReport', ['summary', 'ranked'], {
+        summary: {
+            type: 'object',
+            required: ['total', 'ok', 'failed'],
+            properties: {
+                total: { type: 'integer', minimum: 0 },
+                ok: { type: 'integer', minimum: 0 },
+                failed: { type: 'integer', minimum: 0 },
+            },
+        },
+        ranked: { type: 'array', items: { $ref: '#/definitions/routeResult' } },
+    }),
+    // engine/quoteRecorder.js
+    quoteBundle: fileSchema('quoteBundle', ['params', 'calls', 'result', 'resultDigest'], {
+        params: {
+            type: 'object',
+            required: ['pools', 'tokenA', 'tokenB', 'tokenC', 'dxAtomic'],
+            properties: {
+                pools: { type: 'array', items: { $ref: '#/definitions/pool' } },
+                tokenA: { $ref: '#/definitions/address' },
+                tokenB: { $ref: '#/definitions/address' },
+                tokenC: { $ref: '#/definitions/address' },
+                dxAtomic: { $ref: '#/definitions/atomic' },
+            },
+        },
+        oracle: {
+            type: ['object', 'null'],
+            properties: { prices: { type: 'object' }, decimals: { type: 'object' } },
+        },
+        decimals: { type: 'object' },
+        pools: { type: 'object' },
+        calls: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['op', 'pool', 'swapForY', 'amountAtomic'],
+                anyOf: [{ required: ['quote'] }, { required: ['error'] }],
+                properties: {
+                    op: { enum: ['quote', 'quote_exact_out'] },
+                    pool: { type: 'string' },
+                    swapForY: { type: 'boolean' },
+                    amountAtomic: { $ref: '#/definitions/atomic' },
+                    slot: { type: ['integer', 'null'] },
+                    quote: { anyOf: [{ $ref: '#/definitions/quote' }, { type: 'null' }] },
+                    error: { type: 'string' },
+                },
+            },
+        },
+        result: { $ref: '#/definitions/routeResult' },
+        resultDigest: { type: 'string', pattern: '^[0-9a-f]{64}$' },
+    }),
+    // engine/backtester.js
+    backtestReport: fileSchema('backtestReport', ['params', 'snapshots', 'opportunities', 'summary'], {
+        params: { type: 'object' },
+        snapshots: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['file', 'timestamp', 'triangles', 'opportunities'],
+                properties: {
+                    file: { type: 'string' },
+                    timestamp: { type: 'string' },
+                    triangles: { type: 'integer', minimum: 0 },
+                    opportunities: { type: 'integer', minimum: 0 },
+                    netProfitUsd: { type: 'number' },
+                },
+            },
+        },
+        opportunities: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['key', 'pools', 'firstSeen', 'lastSeen', 'snapshots', 'persistenceMs'],
+                properties: {
+                    key: { type: 'string' },
+                    firstSeen: { type: 'string' },
+                    lastSeen: { type: 'string' },
+                    goneAt: { type: ['string', 'null'] },
+                    snapshots: { type: 'integer', minimum: 1 },
+                    persistenceMs: { type: 'number', minimum: 0 },
+                    entryNetProfitUsd: { $ref: '#/definitions/numberOrNull' },
+                },
+            },
+        },
+        summary: {
+            type: 'object',
+            required: ['snapshots', 'opportunities', 'pnlUsd'],
+            properties: {
+                snapshots: { type: 'integer', minimum: 1 },
+                opportunities: { type: 'integer', minimum: 0 },
+                pnlUsd: { type: 'number' },
+            },
+        },
+    }),
+    // engine/scannerDaemon.js
+    heartbeat: fileSchema('heartbeat', ['status', 'pid', 'updatedAt', 'cycles'], {
+        status: { enum: ['idle', 'scanning', 'stopping', 'stopped'] },
+        pid: { type: 'integer' },
+        updatedAt: { type: 'string' },
+        cycles: { type: 'integer', minimum: 0 },
+        nextCycleAt: { type: ['string', 'null'] },
+        lastCycle: {
+            type: ['object', 'null'],
+            properties: {
+                cycle: { type: 'integer', minimum: 1 },
+                durationMs: { type: ['number', 'null'] },
+                opportunities: { type: 'integer', minimum: 0 },
+                emitted: { type: 'integer', minimum: 0 },
+                error: { type: ['string', 'null'] },
+            },
+        },
+    }),
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const t = typeOf(value);
+    if (type === 'integer') return t === 'number' && Number.isInteger(value);
+    if (type === 'number') return t === 'number' && Number.isFinite(value);
+    return t === type;
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) throw new Error(`schema: only local $ref supported, got ${ref}`);
+    return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+}
+
+function check(schema, value, at, root, errors) {
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        if (!target) { errors.push(`${at}: unresolved $ref ${schema.$ref}`); return; }
+        check(target, value, at, root, errors);
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push(`${at}: expected ${types.join('|')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${at}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: ${JSON.stringify(value)} not in ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+    if (schema.minimum != null && typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${at}: ${value} < minimum ${schema.minimum}`);
+    }
+
+    if (schema.anyOf) {
+        const branchErrors = schema.anyOf.map(s => {
+            const e = [];
+            check(s, value, at, root, e);
+            return e;
+        });
+        if (!branchErrors.some(e => e.length === 0)) {
+            errors.push(`${at}: matches no anyOf branch (${branchErrors.map(e => e[0]).join('; ')})`);
+        }
+    }
+
+    const t = typeOf(value);
+    if (t === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${at}: missing required '${key}'`);
+        }
+        const props = schema.properties || {};
+        for (const [key, v] of Object.entries(value)) {
+            if (props[key]) check(props[key], v, `${at}.${key}`, root, errors);
+            else if (schema.additionalProperties === false) errors.push(`${at}: unexpected property '${key}'`);
+            else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, v, `${at}.${key}`, root, errors);
+            }
+        }
+    }
+    if (t === 'array' && schema.items) {
+        value.forEach((v, i) => check(schema.items, v, `${at}[${i}]`, root, errors));
+    }
+}
+
+/**
+ * Validate a value against the schema for `kind`. Values are checked as they
+ * would be serialized (undefined fields dropped, Decimals as strings).
+ *
+ * @param {string} kind - Key of SCHEMAS
+ * @param {*} value
+ * @returns {{ ok: boolean, errors: string[] }}
+ */
+function validate(kind, value) {
+    const schema = SCHEMAS[kind];
+    if (!schema) throw new Error(`schema: unknown kind '${kind}' (known: ${Object.keys(SCHEMAS).join(', ')})`);
+    const errors = [];
+    check(schema, JSON.parse(JSON.stringify(value)), '$', schema, errors);
+    return { ok: errors.length === 0, errors };
+}
+
+function assertValid(kind, value) {
+    const { ok, errors } = validate(kind, value);
+    if (!ok) {
+        const more = errors.length > 5 ? ` (+${errors.length - 5} more)` : '';
+        throw new Error(`${kind} failed schema v${SCHEMA_VERSION} validation: ${errors.slice(0, 5).join('; ')}${more}`);
+    }
+    return value;
+}
+
+/**
+ * Stamp, validate and write an output file. Throws without writing when the
+ * payload does not match the schema for `kind`.
+ *
+ * @param {string} filePath
+ * @param {string} kind - File kind: 'pools', 'quoteReport', 'scanReport', 'quoteBundle', 'backtestReport', 'heartbeat'
+ * @param {Object} payload - Body of the file, without the envelope fields
+ * @returns {Object} The document that was written
+ */
+function writeValidatedJson(filePath, kind, payload) {
+    const doc = {
+        schemaVersion: SCHEMA_VERSION,
+        kind,
+        generatedAt: new Date().toISOString(),
+        ...payload,
+    };
+    assertValid(kind, doc);
+
+    const dir = path.dirname(filePath);
+    if (dir && !fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    // Write-then-rename so a reader polling the file (heartbeat, dashboards) never sees half of it
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, 2));
+    fs.renameSync(tmp, filePath);
+    return doc;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    SCHEMAS,
+    validate,
+    assertValid,
+    writeValidatedJson,
+};
+
+// node engine/schema.js routeResult > routeResult.schema.json
+if (require.main === module) {
+    const kind = process.argv[2];
+    if (!SCHEMAS[kind]) {
+        console.error(`Usage: node engine/schema.js <${Object.keys(SCHEMAS).join('|')}>`);
+        process.exit(1);
+    }
+    console.log(JSON.stringify(SCHEMAS[kind], null, 2));
+}
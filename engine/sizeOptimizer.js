@@ -0,0 +1,170 @@
+'use strict';
+/**
+ * sizeOptimizer.js - Trade-size search for a cycle
+ *
+ * Profit(dx) = out(dx) - dx is roughly concave for AMM routes: fees dominate
+ * tiny sizes, price impact dominates large ones. A golden-section search over
+ * [minDxAtomic, maxDxAtomic] finds the peak, then bisection on each side finds
+ * where profit crosses zero.
+ *
+ * Quotes come from any adapter exposing quoteExactIn({ inAmountLamports, swapForY }).
+ * Pass engine.quoter(pool) (triArbitrage.createEngine) to share the engine's quote
+ * cache, so sizes probed here are not quoted again when the route is simulated.
+ */
+
+const { D, Decimal } = require('../utils/_utils');
+
+const INV_PHI = (Math.sqrt(5) - 1) / 2;
+
+function legSwapForY(leg) {
+    if (typeof leg.swapForY === 'boolean') return leg.swapForY;
+    if (leg.pool && leg.inputMint) return leg.inputMint === leg.pool.baseMint;
+    throw new Error('optimizeTradeSize: each leg needs swapForY or pool + inputMint');
+}
+
+/**
+ * Quote dxAtomic through every leg in order.
+ * @param {Array<{ adapter: Object, swapForY?: boolean, pool?: Object, inputMint?: string }>} legs
+ * @param {string} dxAtomic
+ * @returns {Promise<Object>} { ok, outAtomic, quotes, quotesUsed, reason? }
+ */
+async function quoteRoute(legs, dxAtomic) {
+    const quotes = [];
+    let amount = D(dxAtomic).floor().toFixed(0);
+
+    for (let i = 0; i < legs.length; i++) {
+        let q;
+        try {
+            q = await legs[i].adapter.quoteExactIn({ inAmountLamports: amount, swapForY: legSwapForY(legs[i]) });
+        } catch (e) {
+            q = { success: false, error: e.message };
+        }
+        quotes.push(q);
+        if (!q || !q.success || !D(q.outAmountRaw).gt(0)) {
+            return { ok: false, reason: `leg${i + 1}: ${q?.error || 'no-output'}`, quotes, quotesUsed: quotes.length };
+        }
+        amount = String(q.outAmountRaw);
+    }
+
+    return { ok: true, outAtomic: amount, quotes, quotesUsed: quotes.length };
+}
+
+/**
+ * Search dxAtomic for maximum absolute profit in the start token.
+ *
+ * @param {Object} params
+ * @param {Array} params.legs - [{ adapter, swapForY }] in cycle order (adapters already init()'d)
+ * @param {string} params.minDxAtomic - Lower bound of the search
+ * @param {string} params.maxDxAtomic - Upper bound of the search
+ * @param {string} [params.toleranceAtomic] - Stop when the bracket is this narrow (default range / 1000)
+ * @param {number} [params.maxEvaluations] - Cap on route evaluations (default 60, at least 4: both bounds and the first two probes)
+ * @returns {Promise<Object>} { ok, bestDxAtomic, outAtomic, profitAtomic, profitPct, breakeven, quotesUsed, evaluations }
+ */
+async function optimizeTradeSize({ legs, minDxAtomic, maxDxAtomic, toleranceAtomic = null, maxEvaluations = 60 }) {
+    if (!Array.isArray(legs) || legs.length === 0) return { ok: false, reason: 'missing-legs' };
+    if (!legs.every(l => l?.adapter && typeof l.adapter.quoteExactIn === 'function')) {
+        return { ok: false, reason: 'adapter-without-quoteExactIn' };
+    }
+
+    const lo0 = D(minDxAtomic).floor();
+    const hi0 = D(maxDxAtomic).floor();
+    if (!lo0.gt(0) || !hi0.gt(lo0)) return { ok: false, reason: 'invalid-range' };
+
+    const tol = toleranceAtomic != null
+        ? D(toleranceAtomic)
+        : Decimal.max(hi0.minus(lo0).div(1000).floor(), 1);
+
+    const evalCap = Math.max(4, maxEvaluations);
+    let quotesUsed = 0;
+    let failures = 0;
+    const memo = new Map();
+
+    // Failed routes count as losing the whole input so the search moves away from them.
+    async function profitAt(dx) {
+        const key = dx.floor().toFixed(0);
+        if (memo.has(key)) return memo.get(key);
+        if (memo.size >= evalCap) return null;
+
+        const r = await quoteRoute(legs, key);
+        quotesUsed += r.quotesUsed;
+        if (!r.ok) failures++;
+        const out = r.ok ? D(r.outAtomic) : D(0);
+        const entry = { dx: D(key), out, profit: out.minus(key), ok: r.ok };
+        memo.set(key, entry);
+        return entry;
+    }
+
+    const atLo = await profitAt(lo0);
+    const atHi = await profitAt(hi0);
+
+    // Golden-section search for the peak
+    let a = lo0;
+    let b = hi0;
+    let c = b.minus(b.minus(a).mul(INV_PHI)).floor();
+    let d = a.plus(b.minus(a).mul(INV_PHI)).floor();
+    let fc = await profitAt(c);
+    let fd = await profitAt(d);
+
+    while (fc && fd && b.minus(a).gt(tol)) {
+        if (fc.profit.gte(fd.profit)) {
+            b = d; d = c; fd = fc;
+            c = b.minus(b.minus(a).mul(INV_PHI)).floor();
+            fc = await profitAt(c);
+        } else {
+            a = c; c = d; fc = fd;
+            d = a.plus(b.minus(a).mul(INV_PHI)).floor();
+            fd = await profitAt(d);
+        }
+    }
+
+    let best = null;
+    for (const e of memo.values()) {
+        if (e.ok && (!best || e.profit.gt(best.profit))) best = e;
+    }
+    if (!best) {
+        return { ok: false, reason: 'all-quotes-failed', quotesUsed, evaluations: memo.size, failures };
+    }
+
+    // Bisection for the zero crossing between a losing and a winning size
+    async function crossing(losing, winning) {
+        let l = losing;
+        let w = winning;
+        while (l.minus(w).abs().gt(tol)) {
+            const mid = l.plus(w).div(2).floor();
+            const e = await profitAt(mid);
+            if (!e) break;
+            if (e.profit.gt(0)) w = mid; else l = mid;
+        }
+        return w;
+    }
+
+    let breakeven = null;
+    if (best.profit.gt(0)) {
+        const low = atLo.profit.gt(0) ? lo0 : await crossing(lo0, best.dx);
+        const high = atHi.profit.gt(0) ? hi0 : await crossing(hi0, best.dx);
+        breakeven = {
+            lowDxAtomic: low.toFixed(0),
+            highDxAtomic: high.toFixed(0),
+            lowIsRangeBound: low.eq(lo0),
+            highIsRangeBound: high.eq(hi0),
+        };
+    }
+
+    return {
+        ok: true,
+        bestDxAtomic: best.dx.toFixed(0),
+        outAtomic: best.out.toFixed(0),
+        profitAtomic: best.profit.toFixed(0),
+        profitPct: best.profit.div(best.dx).mul(100).toString(),
+        profitable: best.profit.gt(0),
+        breakeven,
+        quotesUsed,
+        evaluations: memo.size,
+        failures,
+    };
+}
+
+module.exports = {
+    optimizeTradeSize,
+    quoteRoute,
+};
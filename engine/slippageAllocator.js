@@ -0,0 +1,89 @@
+'use strict';
+/**
+ * slippageAllocator.js - Split a route-level slippage budget into per-leg minOut
+ *
+ * Setting every leg's minOut to its simulated output leaves zero tolerance; a
+ * flat per-leg bps ignores what the route has to pay back. Here the route gets
+ * one budget, capped by the headroom between the simulated final output and
+ * what must come back (loan + flashloan fee + minimum profit), and each leg
+ * gets a share of it.
+ *
+ * The chain is consistent: leg i+1 is sized for the worst case of leg i
+ * (amountIn = previous minOut), and its minOut scales the simulated rate down
+ * to that input. AMM output is concave with out(0) = 0, so scaling the output
+ * proportionally to a smaller input never overstates it. The last minOut is
+ * therefore a floor the whole route can honour, and it is never below
+ * repay + minProfit.
+ */
+
+const { D, Decimal } = require('../utils/_utils');
+
+/**
+ * @param {Object} params
+ * @param {Array<{ dxAtomic: string, dyAtomic: string }>} params.legs - Simulated legs in order
+ * @param {string} params.repayAtomic - Start-token amount that must come back (loan + fee)
+ * @param {string} [params.minProfitAtomic] - Floor on top of repayment (default '0')
+ * @param {number} [params.routeToleranceBps] - Max route-level slippage (default 50)
+ * @param {number[]} [params.weights] - Relative share of the budget per leg (default even)
+ * @returns {Object} { ok, routeToleranceBps, headroomBps, budgetBps, requiredOutAtomic,
+ *   legs: [{ amountInAtomic, minOutAtomic, simulatedOutAtomic, toleranceBps }], reason? }
+ */
+function allocateSlippage({ legs, repayAtomic, minProfitAtomic = '0', routeToleranceBps = 50, weights = null }) {
+    if (!Array.isArray(legs) || legs.length === 0) return { ok: false, reason: 'missing-legs' };
+    if (weights && weights.length !== legs.length) return { ok: false, reason: 'weights-length-mismatch' };
+
+    const simulatedOut = D(legs[legs.length - 1].dyAtomic);
+    const required = D(repayAtomic).plus(D(minProfitAtomic));
+    const base = {
+        routeToleranceBps,
+        requiredOutAtomic: required.toString(),
+        simulatedOutAtomic: simulatedOut.toString(),
+    };
+
+    if (!simulatedOut.gt(0) || simulatedOut.lt(required)) {
+        return { ok: false, reason: 'no-slippage-headroom', ...base, headroomBps: 0, budgetBps: 0 };
+    }
+
+    // Fraction of the final output the route may lose and still return `required`
+    const headroom = D(1).minus(required.div(simulatedOut));
+    const headroomBps = headroom.mul(1e4).toNumber();
+    const budget = Decimal.min(headroom, D(routeToleranceBps).div(1e4));
+
+    // Split in log space so the per-leg factors multiply back to (1 - budget)
+    const w = (weights || legs.map(() => 1)).map(Number);
+    const wSum = w.reduce((a, b) => a + b, 0);
+    if (!(wSum > 0) || w.some(x => !(x >= 0))) return { ok: false, reason: 'invalid-weights', ...base };
+    const logKeep = Decimal.ln(D(1).minus(budget));
+
+    const out = [];
+    let amountIn = D(legs[0].dxAtomic);
+    for (let i = 0; i < legs.length; i++) {
+        const simIn = D(legs[i].dxAtomic);
+        const simOut = D(legs[i].dyAtomic);
+        const keep = Decimal.exp(logKeep.mul(w[i] / wSum));
+
+        // Simulated rate applied to the worst-case input, then this leg's share of the budget
+        let minOut = simOut.mul(amountIn).div(simIn).mul(keep).floor();
+        if (i === legs.length - 1) minOut = Decimal.max(minOut, required);
+
+        out.push({
+            amountInAtomic: amountIn.toFixed(0),
+            minOutAtomic: minOut.toFixed(0),
+            simulatedOutAtomic: simOut.toFixed(0),
+            toleranceBps: D(1).minus(keep).mul(1e4).toNumber(),
+        });
+        amountIn = minOut;
+    }
+
+    return {
+        ok: true,
+        ...base,
+        headroomBps,
+        budgetBps: budget.mul(1e4).toNumber(),
+        legs: out,
+    };
+}
+
+module.exports = {
+    allocateSlippage,
+};
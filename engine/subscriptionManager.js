@@ -0,0 +1,417 @@
+'use strict';
+/**
+ * subscriptionManager.js - Re-evaluate triangles when their pools' accounts change
+ *
+ * Polling getMultipleAccountsInfo every few seconds sees a price move late.
+ * SubscriptionManager registers onAccountChange for every account a pool's
+ * price is read from:
+ *   - token vaults (xVault/yVault, any pool type)  -> xReserve / yReserve
+ *   - DLMM lbPair                                  -> activeId, binStep, midPrice
+ *   - Raydium CLMM pool state / Orca whirlpool     -> clmm.sqrtPriceX64, liquidity, tickCurrent, midPrice
+ *
+ * A notification is decoded, written into the in-memory pool record (the same
+ * object the triangles hold), and the pool's cached adapter and quotes are
+ * marked stale at the notification's slot. Only the triangles that touch a
+ * changed pool are then scanned again. Changes that land while a scan is
+ * running are coalesced into the next one, so a burst of updates costs one
+ * re-evaluation per pool, not one per update. Updates older than the last slot
+ * applied to an account are ignored.
+ *
+ * Any object with onAccountChange/removeAccountChangeListener works as the
+ * connection; replayConnection.js replays recorded updates for tests and
+ * offline debugging.
+ */
+
+const fs = require('fs');
+const { PublicKey } = require('@solana/web3.js');
+const { D, normalizeType, toNumberOrNull } = require('../utils/_utils');
+const { getVaultAddresses, parseSplTokenAmount } = require('../_enrich_reserves');
+const { createEngine } = require('./triArbitrage');
+const { enumerateTriangles } = require('./triangleGraph');
+const { buildPriceOracle } = require('./priceOracle');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('subscriptions');
+
+const Q64 = D(2).pow(64);
+
+function poolAddressOf(pool) {
+    return String(pool.poolAddress || pool.address);
+}
+
+// ============================================================================
+// DECODERS (account data -> fields written into the pool record)
+// ============================================================================
+
+let dlmmProgram = null;
+
+function decodeLbPair(data) {
+    if (!dlmmProgram) {
+        // Required lazily; the program is only used for its account coder and never sends a request
+        const { createProgram } = require('@meteora-ag/dlmm');
+        const { Connection } = require('@solana/web3.js');
+        dlmmProgram = createProgram(new Connection('http://127.0.0.1:1'));
+    }
+    const { decodeAccount } = require('@meteora-ag/dlmm');
+    const s = decodeAccount(dlmmProgram, 'lbPair', data);
+    return { activeId: s.activeId, binStep: s.binStep };
+}
+
+function decodeClmmState(data) {
+    const { PoolInfoLayout } = require('@raydium-io/raydium-sdk-v2');
+    const s = PoolInfoLayout.decode(data);
+    return { sqrtPriceX64: s.sqrtPriceX64.toString(), sqrtPriceEncoding: 'q64', liquidity: s.liquidity.toString(), tickCurrent: s.tickCurrent };
+}
+
+function decodeWhirlpool(data, account) {
+    const { ParsableWhirlpool } = require('@orca-so/whirlpools-sdk');
+    const s = ParsableWhirlpool.parse(new PublicKey(account), { data, owner: PublicKey.default, lamports: 0, executable: false });
+    if (!s) throw new Error('not a whirlpool account');
+    return { sqrtPriceX64: s.sqrtPrice.toString(), sqrtPriceEncoding: 'q64', liquidity: s.liquidity.toString(), tickCurrent: s.tickCurrentIndex };
+}
+
+// Pool-state account decoder per pool type; types without one are tracked through their vaults only
+const STATE_DECODERS = {
+    dlmm: decodeLbPair,
+    clmm: decodeClmmState,
+    whirlpool: decodeWhirlpool,
+};
+
+function humanPrice(rawPerRaw, pool) {
+    const baseDec = toNumberOrNull(pool.baseDecimals);
+    const quoteDec = toNumberOrNull(pool.quoteDecimals);
+    if (baseDec == null || quoteDec == null) return null;
+    return rawPerRaw.mul(D(10).pow(baseDec - quoteDec)).toNumber();
+}
+
+/**
+ * Write a decoded account into the pool record.
+ * @returns {boolean} Whether anything the quote depends on changed
+ */
+function applyUpdate(pool, kind, side, decoded) {
+    if (kind === 'vault') {
+        const field = side === 'x' ? 'xReserve' : 'yReserve';
+        if (pool[field] === decoded.amount) return false;
+        pool[field] = decoded.amount;
+        pool.reserveSource = 'subscription';
+        return true;
+    }
+
+    if (normalizeType(pool) === 'dlmm') {
+        if (pool.activeId === decoded.activeId && pool.binStep === decoded.binStep) return false;
+        pool.activeId = decoded.activeId;
+        pool.binStep = decoded.binStep;
+        const perRaw = D(1).plus(D(decoded.binStep).div(10000)).pow(decoded.activeId);
+        pool.midPrice = humanPrice(perRaw, pool) ?? pool.midPrice;
+        return true;
+    }
+
+    const prev = pool.clmm || {};
+    if (prev.sqrtPriceX64 === decoded.sqrtPriceX64 && prev.liquidity === decoded.liquidity) return false;
+    pool.clmm = { ...prev, ...decoded };
+    pool.midPrice = humanPrice(D(decoded.sqrtPriceX64).div(Q64).pow(2), pool) ?? pool.midPrice;
+    return true;
+}
+
+// ============================================================================
+// MANAGER
+// ============================================================================
+
+class SubscriptionManager {
+    /**
+     * @param {Object} opts
+     * @param {Object[]} opts.pools - Pool records; updated in place
+     * @param {Object[]} [opts.triangles] - Triangles over those records (default: enumerateTriangles(pools, { anchors }))
+     * @param {Object} [opts.connection] - Anything with onAccountChange (default: the engine's connection)
+     * @param {Object} [opts.engine] - createEngine() result (default: a new engine on opts.connection)
+     * @param {string} [opts.commitment] - Subscription commitment (default 'confirmed')
+     * @param {string[]} [opts.anchors] - Start mints for enumeration and scanning
+     * @param {number} [opts.notionalUsd] - Start amount per anchor in USD (default 1000)
+     * @param {string|Object|Function} [opts.dxAtomic] - Start amounts, as in scanTriangles
+     * @param {PriceOracle} [opts.priceOracle] - USD prices for notionalUsd and ranking (default: built from pools at start)
+     * @param {number} [opts.concurrency] - Triangles in flight per re-evaluation (default 8)
+     * @param {number} [opts.timeoutMs] - Per-triangle timeout (default 15000)
+     * @param {number} [opts.debounceMs] - Wait this long after a change before scanning, to batch a slot's updates (default 0)
+     * @param {Function} [opts.onEvaluation] - Called with { pools, slot, triangles, ranked, failures, summary } after each re-evaluation
+     * @param {Function} [opts.onUpdate] - Called with every raw update { slot, account, data (base64) }, e.g. to record them
+     */
+    constructor(opts = {}) {
+        if (!Array.isArray(opts.pools)) throw new Error('SubscriptionManager: pools required');
+
+        this.pools = opts.pools;
+        this.engine = opts.engine || createEngine({ connection: opts.connection });
+        this.connection = opts.connection || this.engine.context.connection;
+        this.commitment = opts.commitment || 'confirmed';
+        this.triangles = opts.triangles || null;
+        this.anchors = opts.anchors || undefined;
+        this.notionalUsd = opts.notionalUsd ?? 1000;
+        this.dxAtomic = opts.dxAtomic ?? null;
+        this.priceOracle = opts.priceOracle || null;
+        this.concurrency = opts.concurrency ?? 8;
+        this.timeoutMs = opts.timeoutMs ?? 15000;
+        this.debounceMs = opts.debounceMs ?? 0;
+        this.onEvaluation = opts.onEvaluation || null;
+        this.onUpdate = opts.onUpdate || null;
+
+        this.byAccount = new Map();     // account -> [{ address, kind, side }]
+        this.records = new Map();       // pool address -> [pool records sharing it]
+        this.trianglesByPool = new Map(); // pool address -> Set<triangle index>
+        this.lastSlot = new Map();      // account -> last applied slot
+        this.subscriptions = [];        // listener ids
+
+        this.dirty = new Map();         // pool address -> highest slot seen
+        this._timer = null;
+        this._running = null;
+
+        this.stats = { updates: 0, applied: 0, unchanged: 0, outOfOrder: 0, decodeErrors: 0, evaluations: 0, trianglesEvaluated: 0 };
+    }
+
+    _index() {
+        const add = (pool) => {
+            const address = poolAddressOf(pool);
+            const list = this.records.get(address) || [];
+            if (!list.includes(pool)) list.push(pool);
+            this.records.set(address, list);
+        };
+        this.pools.forEach(add);
+
+        this.triangles.forEach((tri, i) => {
+            for (const p of tri.pools.flat()) {
+                add(p);
+                const address = poolAddressOf(p);
+                if (!this.trianglesByPool.has(address)) this.trianglesByPool.set(address, new Set());
+                this.trianglesByPool.get(address).add(i);
+            }
+        });
+
+        // Only pools some triangle uses are worth a subscription
+        for (const [address, [pool]] of this.records) {
+            if (!this.trianglesByPool.has(address)) continue;
+            const watch = (account, kind, side = null) => {
+                if (!account) return;
+                const list = this.byAccount.get(String(account)) || [];
+                list.push({ address, kind, side });
+                this.byAccount.set(String(account), list);
+            };
+            const { xVault, yVault } = getVaultAddresses(pool);
+            watch(xVault, 'vault', 'x');
+            watch(yVault, 'vault', 'y');
+            if (STATE_DECODERS[normalizeType(pool)]) watch(address, 'state');
+        }
+    }
+
+    /**
+     * Subscribe to every account the triangles' pools read from.
+     * @returns {Promise<{ accounts: number, pools: number, triangles: number }>}
+     */
+    async start() {
+        if (!this.triangles) this.triangles = await enumerateTriangles(this.pools, { anchors: this.anchors });
+        if (!this.priceOracle) this.priceOracle = buildPriceOracle(this.pools);
+        this._index();
+
+        for (const account of this.byAccount.keys()) {
+            const id = this.connection.onAccountChange(
+                new PublicKey(account),
+                (info, context) => this._onAccountChange(account, info, context),
+                this.commitment
+            );
+            this.subscriptions.push(id);
+        }
+        const counts = { accounts: this.byAccount.size, pools: this.trianglesByPool.size, triangles: this.triangles.length };
+        logger.info('subscribed', counts);
+        return counts;
+    }
+
+    /**
+     * Remove every subscription and wait for a running re-evaluation.
+     * Changes still waiting for their debounce are dropped.
+     */
+    async stop() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        const ids = this.subscriptions.splice(0);
+        await Promise.all(ids.map(id => Promise.resolve(this.connection.removeAccountChangeListener(id)).catch(e => {
+            logger.warn('unsubscribe failed', { id, error: e });
+        })));
+        this.dirty.clear();
+        if (this._running) await this._running;
+        logger.info('unsubscribed', { subscriptions: ids.length, ...this.stats });
+    }
+
+    _onAccountChange(account, info, context) {
+        const slot = context?.slot ?? null;
+        this.stats.updates++;
+        if (this.onUpdate) {
+            try {
+                this.onUpdate({ slot, account, data: Buffer.from(info.data).toString('base64') });
+            } catch (e) {
+                logger.warn('onUpdate threw', { account, error: e });
+            }
+        }
+
+        const last = this.lastSlot.get(account);
+        if (slot != null && last != null && slot < last) {
+            this.stats.outOfOrder++;
+            return;
+        }
+        if (slot != null) this.lastSlot.set(account, slot);
+
+        for (const { address, kind, side } of this.byAccount.get(account) || []) {
+            const records = this.records.get(address);
+            let decoded;
+            try {
+                decoded = kind === 'vault'
+                    ? { amount: parseSplTokenAmount(Buffer.from(info.data)) }
+                    : STATE_DECODERS[normalizeType(records[0])](Buffer.from(info.data), account);
+                if (kind === 'vault' && decoded.amount == null) throw new Error('not an SPL token account');
+            } catch (e) {
+                this.stats.decodeErrors++;
+                logger.warn('account update not decoded', { account, pool: address, kind, error: e });
+                continue;
+            }
+
+            // Every record is written so copies of the pool stay in step; the first one decides "changed"
+            const changed = records.map(pool => applyUpdate(pool, kind, side, decoded))[0];
+            if (!changed) {
+                this.stats.unchanged++;
+                continue;
+            }
+            this.stats.applied++;
+            logger.debug('pool updated', { pool: address, kind, side, slot });
+
+            this.engine.adapterPool.markStale(address, slot);
+            this.engine.quoteCache.invalidatePool(address);
+            this.dirty.set(address, Math.max(this.dirty.get(address) ?? -1, slot ?? -1));
+        }
+        if (this.dirty.size) this._schedule();
+    }
+
+    _schedule() {
+        if (this._timer || this._running) return;
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._running = this._flush().finally(() => {
+                this._running = null;
+                // Changes that arrived during the scan
+                if (this.dirty.size) this._schedule();
+            });
+        }, this.debounceMs);
+    }
+
+    async _flush() {
+        const changed = [...this.dirty.keys()];
+        const slot = Math.max(...this.dirty.values());
+        this.dirty.clear();
+        return this.evaluate(changed, slot >= 0 ? slot : null);
+    }
+
+    /**
+     * Scan the triangles that touch any of the given pools.
+     * @param {string[]} addresses - Pool addresses
+     * @param {number|null} [slot] - Slot of the change, passed through to onEvaluation
+     * @returns {Promise<Object>} { pools, slot, triangles, ranked, failures, summary }
+     */
+    async evaluate(addresses, slot = null) {
+        const indices = new Set();
+        for (const address of addresses) {
+            for (const i of this.trianglesByPool.get(String(address)) || []) indices.add(i);
+        }
+        const triangles = [...indices].sort((a, b) => a - b).map(i => this.triangles[i]);
+
+        const { ranked, failures, summary } = await this.engine.scanTriangles(triangles, {
+            dxAtomic: this.dxAtomic,
+            notionalUsd: this.notionalUsd,
+            anchors: this.anchors,
+            concurrency: this.concurrency,
+            timeoutMs: this.timeoutMs,
+            priceOracle: this.priceOracle
+        });
+        this.stats.evaluations++;
+        this.stats.trianglesEvaluated += triangles.length;
+        logger.debug('re-evaluated', { pools: addresses.length, slot, triangles: triangles.length, ok: summary.ok });
+
+        const evaluation = { pools: addresses, slot, triangles: triangles.length, ranked, failures, summary };
+        if (this.onEvaluation) {
+            try {
+                await this.onEvaluation(evaluation);
+            } catch (e) {
+                logger.warn('onEvaluation threw', { error: e });
+            }
+        }
+        return evaluation;
+    }
+
+    /** Resolves once no change is waiting and no re-evaluation is running */
+    async settle() {
+        while (this._timer || this._running) {
+            await (this._running || new Promise(resolve => setTimeout(resolve, this.debounceMs)));
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, subscriptions: this.subscriptions.length, pending: this.dirty.size };
+    }
+}
+
+module.exports = {
+    SubscriptionManager,
+    applyUpdate,
+    STATE_DECODERS,
+};
+
+// node engine/subscriptionManager.js <pools.json> [--anchors=SOL,USDC] [--record=updates.jsonl] [--replay=updates.jsonl]
+if (require.main === module) {
+    (async () => {
+        const { TOKENS } = require('../utils/_utils');
+        const { ReplayConnection, readAccountUpdates } = require('./replayConnection');
+        const args = process.argv.slice(2);
+        const flag = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1] ?? null;
+        const poolsFile = args.find(a => !a.startsWith('--'));
+        if (!poolsFile) {
+            console.error('Usage: node engine/subscriptionManager.js <pools.json> [--anchors=SOL,USDC] [--record=updates.jsonl] [--replay=updates.jsonl]');
+            process.exitCode = 1;
+            return;
+        }
+
+        const doc = JSON.parse(fs.readFileSync(poolsFile, 'utf8'));
+        const pools = Array.isArray(doc) ? doc : doc.pools;
+        const anchors = flag('anchors') ? flag('anchors').split(',').map(a => TOKENS[a.toUpperCase()] || a) : undefined;
+        const replayFile = flag('replay');
+        const recordFile = flag('record');
+        const connection = replayFile ? new ReplayConnection(readAccountUpdates(replayFile)) : undefined;
+        const recording = recordFile ? fs.createWriteStream(recordFile, { flags: 'a' }) : null;
+
+        const manager = new SubscriptionManager({
+            pools,
+            anchors,
+            connection,
+            onUpdate: recording ? (u) => recording.write(JSON.stringify(u) + '\n') : null,
+            onEvaluation: ({ pools: changed, slot, triangles, ranked }) => {
+                const best = ranked[0];
+                console.log(`slot ${slot ?? '?'}: ${changed.length} pool(s) changed, ${triangles} triangle(s), ${ranked.length} ok`
+                    + (best ? `, best ${D(best.profitPct).toFixed(4)}% ${best.key}` : ''));
+            },
+        });
+        const counts = await manager.start();
+        console.log(`Watching ${counts.accounts} accounts for ${counts.pools} pools in ${counts.triangles} triangles`);
+
+        const shutdown = async () => {
+            await manager.stop();
+            if (recording) await new Promise(resolve => recording.end(resolve));
+            console.log(JSON.stringify(manager.getStats()));
+            process.exit(0);
+        };
+        if (connection) {
+            const { delivered, unmatched } = await connection.replay();
+            await manager.settle();
+            console.log(`Replayed ${delivered} updates (${unmatched} for unwatched accounts)`);
+            await shutdown();
+        } else {
+            process.on('SIGINT', shutdown);
+            process.on('SIGTERM', shutdown);
+        }
+    })().catch(e => {
+        console.error(e.message);
+        process.exitCode = 1;
+    });
+}
@@ -3,13 +3,29 @@
 
 const { D, normalizeType, normalizeDex, shortMint, shortAddr, atomicToHuman } = require('./../utils/_utils');
 //const sdk = require('@raydium-io/raydium-sdk', './@meteora-ag/dlmm',); // Broken import
-const DLMMAdapter = require('./Q_dlmm');
-const { CLMMAdapter } = require('./Q_clmm.fixed');
-const { CPMMAdapter } = require('./Q_cpmm.fixed');
-const { PublicKey, Keypair, Connection } = require('@solana/web3.js'); // Add imports
+// Adapter modules register themselves with the quoter registry on require
+require('./Q_dlmm');
+require('./Q_clmm.fixed');
+require('./Q_cpmm.fixed');
+const { AdapterPool } = require('./adapterPool');
+const { hasCapability, CAPABILITIES } = require('./quoterRegistry');
+const { QuoteCache } = require('./quoteCache');
+const { estimateRouteCosts, clearsMinNetProfit, resolveCosts } = require('./costModel');
+const { allocateSlippage } = require('./slippageAllocator');
+const { splitLeg, expandSplitLeg } = require('./legSplitter');
+const { SCHEMA_VERSION } = require('./schema');
+const { DEFAULT_MAX_PROFIT_PCT, diagnoseCycle } = require('./profitDiagnosis');
+const { AdapterMetrics } = require('./metrics');
+const { RiskManager } = require('./riskManager');
+const { OpportunityTracker } = require('./opportunityTracker');
+const { createLogger } = require('../utils/logger');
+
+// Leg and route detail is debug; enable with LOG_LEVELS=engine=debug
+const logger = createLogger('engine');
+const { createEngineContext, resolveEngineContext } = require('./engineContext');
+const { PublicKey, Keypair } = require('@solana/web3.js'); // Add imports
 const { buildFlashloanTx } = require('../flash/flashloanSwapInstructions.fixed.js');
 const { executeRoute } = require('../flash/swapExecutor.fixed.js');
-const { symbol } = require('zod');
 
 // Add Flashloan Configuration
 // NOTE: In production, load this from environment variables or a secure vault
@@ -23,72 +39,165 @@ const FLASHLOAN_OPTS = {
     skipConfirm: true    // fire and forget
 };
 
-// Mock SDK Wrapper
-const sdk = {
-    getStats: () => ({}),
-    resetStats: () => { },
-    quote: async (pool, inputMint, amountInAtomic) => {
-        try {
-            const type = normalizeType(pool);
-            let AdapterClass;
+// One long-lived adapter pool and quote cache per engine context, plus the
+// price oracle used for profitUsd (see priceOracle.js), the cost model config,
+// the route slippage budget, the adapter latency metrics, the profit above
+// which a route is rejected as bad data, the quote recorder or replayer
+// (see quoteRecorder.js), the risk limits every execution is checked
+// against (see riskManager.js) and the opportunity tracker whose cooldowns
+// keep a route from being executed again right away (see opportunityTracker.js)
+const engineStates = new WeakMap();
+
+function engineStateFor(ctx, opts = {}) {
+    let state = engineStates.get(ctx);
+    if (!state) {
+        const metrics = opts.metrics || new AdapterMetrics(opts.metricsOpts);
+        state = {
+            metrics,
+            adapterPool: new AdapterPool(ctx, { ...opts.adapterPool, metrics }),
+            quoteCache: new QuoteCache(opts.quoteCache),
+            priceOracle: opts.priceOracle || null,
+            costs: opts.costs || null,
+            slippage: opts.slippage || null,
+            maxProfitPct: opts.maxProfitPct ?? DEFAULT_MAX_PROFIT_PCT,
+            recorder: opts.recorder || null,
+            replay: opts.replay || null,
+            risk: opts.risk instanceof RiskManager ? opts.risk : new RiskManager(opts.risk || {}),
+            tracker: opts.tracker instanceof OpportunityTracker ? opts.tracker : new OpportunityTracker(opts.tracker || {}),
+        };
+        engineStates.set(ctx, state);
+    }
+    return state;
+}
 
-            if (type === 'dlmm') AdapterClass = DLMMAdapter;
-            else if (type === 'clmm') AdapterClass = CLMMAdapter;
-            else if (type === 'cpmm' || type === 'amm') AdapterClass = CPMMAdapter;
-            else AdapterClass = CPMMAdapter;
+// Standard adapter quote, served from the quote cache while the adapter's state slot is unchanged.
+// exactOut: amountAtomic is the wanted output and the adapter's quoteExactOut is used.
+// With a replayer the recorded answer is returned and no adapter is touched; with a
+// recorder every answer (and throw) is captured along with the adapter's state and slot.
+async function cachedAdapterQuote(pool, swapForY, amountAtomic, ctx, exactOut = false) {
+    const { adapterPool, recorder, replay } = engineStateFor(resolveEngineContext(ctx));
+    if (replay) return replay.quote(pool, swapForY, amountAtomic, exactOut);
+    if (!recorder) return adapterQuote(pool, swapForY, amountAtomic, ctx, exactOut);
+
+    const address = String(pool.poolAddress || pool.address);
+    const call = { pool, swapForY, amountAtomic, exactOut };
+    let quote;
+    try {
+        quote = await adapterQuote(pool, swapForY, amountAtomic, ctx, exactOut);
+    } catch (e) {
+        recorder.recordQuote({ ...call, error: e });
+        throw e;
+    }
+    const adapter = adapterPool.peek(address);
+    recorder.recordQuote({
+        ...call,
+        quote,
+        slot: adapterPool.slotOf(address),
+        state: adapter && typeof adapter.snapshotState === 'function' ? adapter.snapshotState() : null
+    });
+    return quote;
+}
 
-            const swapForY = (inputMint === pool.baseMint);
+async function adapterQuote(pool, swapForY, amountAtomic, ctx, exactOut) {
+    const { adapterPool, quoteCache, metrics } = engineStateFor(resolveEngineContext(ctx));
+    // Throws for pool types with no registered quoter; null when init failed or the pool is evicted
+    const adapter = await adapterPool.get(pool);
+    if (!adapter) return null;
 
-            // Use a default connection if none provided in context (this mock sdk doesn't have access to context connection easily without passing it)
-            // But we can try to use a dummy or the one from pool if attached?
-            // For now, instantiate with a placeholder. The adapters in Q_*.js might need a real connection for init().
-            // If they fail, we return null, and simulateLeg falls back to math.
-            const connection = new Connection("https://api.mainnet-beta.solana.com");
+    const type = normalizeType(pool);
+    if (exactOut && !hasCapability(type, CAPABILITIES.QUOTE_EXACT_OUT)) {
+        return { success: false, error: `no quoteExactOut for pool type '${type}'` };
+    }
 
-            const adapter = new AdapterClass(connection, pool.poolAddress || pool.address, pool);
+    const address = String(pool.poolAddress || pool.address);
+    const key = QuoteCache.key(address, swapForY, amountAtomic, adapterPool.slotOf(address), exactOut);
+    const cached = quoteCache.get(key);
+    if (cached) return cached;
 
-            // Wrap init in try-catch to avoid crashing on network error
-            try {
-                await adapter.init();
-            } catch (err) {
-                // console.warn(`SDK Init failed for ${type} ${pool.poolAddress}: ${err.message}. Falling back.`);
-                return null;
-            }
+    let quote;
+    try {
+        // Only real adapter calls are timed; cache hits are in quoteCache.getStats()
+        quote = await metrics.time(
+            exactOut ? 'quote_exact_out' : 'quote',
+            { dex: normalizeDex(pool), pool: address },
+            () => (exactOut
+                ? adapter.quoteExactOut(amountAtomic, swapForY)
+                : adapter.quoteExactIn({ inAmountLamports: amountAtomic, swapForY })),
+            q => Boolean(q && q.success)
+        );
+    } catch (e) {
+        logger.debug('adapter quote threw', { pool: address, exactOut, error: e });
+        return { success: false, error: e.message };
+    }
+    // Failed quotes are not cached; the next call retries
+    if (quote && quote.success) quoteCache.set(key, quote);
+    return quote;
+}
 
-            const quote = await adapter.quoteExactIn({
-                inAmountLamports: amountInAtomic,
-                swapForY
-            });
+// SDK Wrapper: adapter class comes from the quoter registry, instances from the adapter pool
+const sdk = {
+    getStats: (ctx) => {
+        const { adapterPool, quoteCache, metrics } = engineStateFor(resolveEngineContext(ctx));
+        return { adapters: adapterPool.getStats(), quotes: quoteCache.getStats(), latency: metrics.summary() };
+    },
+    resetStats: (ctx) => {
+        const { adapterPool, quoteCache, metrics } = engineStateFor(resolveEngineContext(ctx));
+        adapterPool.resetStats();
+        quoteCache.resetStats();
+        metrics.reset();
+    },
+    quoteExactIn: (pool, swapForY, amountInAtomic, ctx) => cachedAdapterQuote(pool, swapForY, amountInAtomic, ctx, false),
+    quoteExactOut: (pool, swapForY, amountOutAtomic, ctx) => cachedAdapterQuote(pool, swapForY, amountOutAtomic, ctx, true),
+    quote: async (pool, inputMint, amountInAtomic, ctx) => {
+        const swapForY = (inputMint === pool.baseMint);
+        const quote = await sdk.quoteExactIn(pool, swapForY, amountInAtomic, ctx);
+        if (!quote || !quote.success) return null;
+
+        return {
+            dyAtomic: quote.outAmountRaw,
+            priceImpactPct: (quote.priceImpact * 100).toString(),
+            feeRate: quote.fee,
+            binArrays: quote.binArrays || []
+        };
+    }
+};
 
-            if (!quote || !quote.success) return null;
+/**
+ * Adapter-shaped quoter for sizeOptimizer legs: quotes go through the
+ * context's adapter pool and quote cache, so the optimizer and the route
+ * simulation share identical quotes.
+ */
+function cachedQuoter(pool, ctx) {
+    return {
+        quoteExactIn: ({ inAmountLamports, swapForY }) => sdk.quoteExactIn(pool, swapForY, String(inAmountLamports), ctx)
+    };
+}
 
-            return {
-                dyAtomic: quote.outAmountRaw,
-                priceImpactPct: (quote.priceImpact * 100).toString(),
-                feeRate: quote.fee,
-                binArrays: quote.binArrays || []
-            };
+async function fetchDecimals(ctx, mint) {
+    const context = resolveEngineContext(ctx);
+    const { recorder, replay } = engineStateFor(context);
+    if (replay) return replay.decimals(mint);
 
-        } catch (e) {
-            // console.error("SDK Quote Error:", e);
-            return null;
-        }
+    const { connection, commitment } = context;
+    let dec;
+    try {
+        const info = await connection.getParsedAccountInfo(new PublicKey(mint), commitment);
+        dec = info?.value?.data?.parsed?.info?.decimals;
+        if (typeof dec !== 'number') throw new Error(`decimals not found for mint ${mint}`);
+    } catch (e) {
+        if (recorder) recorder.recordDecimals(mint, null, e);
+        throw e;
     }
-};
-
-async function fetchDecimals(connection, mint) {
-    const info = await connection.getParsedAccountInfo(new PublicKey(mint));
-    const dec = info?.value?.data?.parsed?.info?.decimals;
-    if (typeof dec !== 'number') throw new Error(`decimals not found for mint ${mint}`);
+    if (recorder) recorder.recordDecimals(mint, dec);
     return dec;
 }
 
-async function ensurePoolSideDecimals(pool, side, connection) {
+async function ensurePoolSideDecimals(pool, side, ctx) {
     const mintKey = side === 'base' ? 'baseMint' : 'quoteMint';
     const decKey = side === 'base' ? 'baseDecimals' : 'quoteDecimals';
 
     if (pool[decKey] == null || Number(pool[decKey]) === 0) {
-        pool[decKey] = await fetchDecimals(connection, pool[mintKey]);
+        pool[decKey] = await fetchDecimals(ctx, pool[mintKey]);
     } else {
         pool[decKey] = Number(pool[decKey]); // normalize in case it's a string
     }
@@ -96,9 +205,9 @@ async function ensurePoolSideDecimals(pool, side, connection) {
 }
 
 // Return decimals for the leg's input mint; auto-fill if missing.
-async function inputDecimals(pool, inputMint, connection) {
-    if (inputMint === pool.baseMint) return ensurePoolSideDecimals(pool, 'base', connection);
-    if (inputMint === pool.quoteMint) return ensurePoolSideDecimals(pool, 'quote', connection);
+async function inputDecimals(pool, inputMint, ctx) {
+    if (inputMint === pool.baseMint) return ensurePoolSideDecimals(pool, 'base', ctx);
+    if (inputMint === pool.quoteMint) return ensurePoolSideDecimals(pool, 'quote', ctx);
     return null; // the pool doesn't even contain that mint (shouldn't happen if orientation is correct)
 }
 
@@ -121,11 +230,6 @@ const toHuman = (amt, dec) => {
     return Number(amt) / Number(BN10(dec));
 };
 
-function short(s) {
-    if (typeof s !== 'string') return '';
-    return s.slice(0, 6) + '..' + s.slice(-4);
-}
-
 function humanToAtomic(dxHuman, decimals) {
     const scale = BigInt(10) ** BigInt(decimals);
     const whole = BigInt(Math.floor(dxHuman));
@@ -134,31 +238,33 @@ function humanToAtomic(dxHuman, decimals) {
     return whole * scale + fracAtomic;
 }
 
-const dlmmOnly = allPools.filter(p => {
-    const t = String(p.type || p.poolType || '').toLowerCase();
-    const d = String(p.dex || '').toLowerCase();
-    const dt = String(p.dexType || '').toUpperCase();
-    return t === 'dlmm' || d === 'meteora' || dt === 'METEORA_DLMM';
-});
+// A hop is one pool, or an array of same-pair pools the leg is split across
+function hopPool(hop) {
+    return Array.isArray(hop) ? hop[0] : hop;
+}
 
-async function solveTriangleOrientation(pools) {
+// Walk the pools in order from each side of the first pool; the first start
+// mint that comes back to itself wins. Works for any number of hops.
+async function solveCycleOrientation(pools) {
+    if (!Array.isArray(pools) || pools.length < 2) return null;
 
-    const [p1, p2, p3] = pools;
     function tryStart(startMint) {
         let curr = startMint; const inMints = [];
-        if (curr === p1.baseMint) { inMints[0] = p1.baseMint; curr = p1.quoteMint; }
-        else if (curr === p1.quoteMint) { inMints[0] = p1.quoteMint; curr = p1.baseMint; }
-        else return null;
-        if (curr === p2.baseMint) { inMints[1] = p2.baseMint; curr = p2.quoteMint; }
-        else if (curr === p2.quoteMint) { inMints[1] = p2.quoteMint; curr = p2.baseMint; }
-        else return null;
-        if (curr === p3.baseMint) { inMints[2] = p3.baseMint; curr = p3.quoteMint; }
-        else if (curr === p3.quoteMint) { inMints[2] = p3.quoteMint; curr = p3.baseMint; }
-        else return null;
+        for (let i = 0; i < pools.length; i++) {
+            const p = hopPool(pools[i]);
+            if (curr === p.baseMint) { inMints[i] = p.baseMint; curr = p.quoteMint; }
+            else if (curr === p.quoteMint) { inMints[i] = p.quoteMint; curr = p.baseMint; }
+            else return null;
+        }
         if (curr !== startMint) return null;
         return { startMint, inMints };
     }
-    return tryStart(p1.baseMint) || tryStart(p1.quoteMint);
+    const first = hopPool(pools[0]);
+    return tryStart(first.baseMint) || tryStart(first.quoteMint);
+}
+
+async function solveTriangleOrientation(pools) {
+    return solveCycleOrientation(pools.slice(0, 3));
 }
 
 async function validateTriangle(pools) {
@@ -168,43 +274,6 @@ async function validateTriangle(pools) {
 }
 
 
-function computeLegMetrics(pool, inputMint, dxAtomic, dyAtomic) {
-    const dirXY = inputMint === pool.baseMint;
-    const inDec = dirXY ? pool.baseDecimals : pool.quoteDecimals;
-    const outDec = dirXY ? pool.quoteDecimals : pool.baseDecimals;
-    `
-        const dxH = Number(dxAtomic) / Number(BN10(inDec));`
-    const dyH = Number(dyAtomic) / Number(BN10(outDec));
-    const execPx = dyH / Math.max(dxH, 1e-18);
-    const feeBps = Math.round((pool.feeRate || 0) * 1e4);
-
-    // mid price in SAME units as execPx
-    let midPx = null;
-    if ((pool.type === 'cpmm' || pool.poolType === 'cpmm') && pool.xReserve && pool.yReserve) {
-        const xH = Number(pool.xReserve) / Number(BN10(pool.baseDecimals));
-        const yH = Number(pool.yReserve) / Number(BN10(pool.quoteDecimals));
-        midPx = dirXY ? (yH / xH) : (xH / yH);
-    } else if (pool.midPrice) {
-        const midYperX = Number(pool.midPrice);
-        midPx = dirXY ? midYperX : (midYperX > 0 ? 1 / midYperX : null);
-    }
-
-    let slipVsMidBps = null, impactBps = null;
-    if (midPx && midPx > 0) {
-        const slip = ((execPx / midPx) - 1) * 1e4;
-        slipVsMidBps = slip;
-        impactBps = feeBps != null ? (slip - feeBps) : slip;
-    }
-
-    return {
-        dex: pool.dex || pool.type,
-        pool: short(pool.address || pool.poolAddress),
-        dir: dirXY ? 'X->Y' : 'Y->X',
-        execPx, feeBps,
-        midPx, impactBps, slipVsMidBps,
-        inAtomic: dxAtomic, outAtomic: dyAtomic,
-    };
-}
 // Stats tracking
 let stats = {
     sdkCalls: 0,
@@ -222,46 +291,50 @@ let stats = {
  * @param {string} params.outputMint - Output token mint
  * @param {string} params.dxAtomic - Input amount in atomic units
  * @param {boolean} params.preferSdk - Prefer SDK over math (default true)
- * @param {boolean} params.log - Enable logging
+ * @param {Object} params.ctx - Engine context (see engineContext.js); shared default when omitted
+ * @param {Connection} params.Connection - Legacy: bare connection, used when no ctx is given
  * @returns {Promise<Object>} { ok, dyAtomic, via, priceImpactPct, ... }
  */
 
 
-async function simulateLeg({ pool, inputMint, outputMint, dxAtomic, preferSdk = true, log = false, Connection = null }) {
+async function simulateLeg({ pool, inputMint, outputMint, dxAtomic, preferSdk = true, ctx = null, Connection = null }) {
     const type = normalizeType(pool);
     const dex = normalizeDex(pool);
     const dxA = D(dxAtomic).floor();
+    const context = resolveEngineContext(ctx || Connection);
 
     if (dxA.lte(0)) {
         return { ok: false, reason: 'dxAtomic <= 0' };
     }
 
-    const sdkAvailable = await sdk.quote(
-        pool,
-        inputMint,
-        dxA.toString(),
-        outputMint
-    );
+    const quote = preferSdk ? await sdk.quote(pool, inputMint, dxA.toString(), context) : null;
     //const mathAvailable = canSimulateMath(pool);
 
     // Try SDK first for DLMM, Whirlpool, CLMM, or if explicitly preferred
-    if (preferSdk && sdkAvailable) {
+    if (preferSdk && quote) {
         stats.sdkCalls++;
 
-        const quote = await sdk.quote(pool, inputMint, dxA.toString());
-
         if (quote?.dyAtomic && D(quote.dyAtomic).gt(0)) {
             stats.sdkSuccess++;
 
-            const inDec = pool.baseDecimals || 9;
-            const outDec = pool.quoteDecimals || 6;
+            let inDec, outDec;
+            try {
+                inDec = await inputDecimals(pool, inputMint, context);
+                outDec = await inputDecimals(pool, outputMint, context);
+            } catch (e) {
+                stats.failures++;
+                return { ok: false, reason: `decimals: ${e.message}`, poolAddress: pool.poolAddress };
+            }
             const dxHuman = atomicToHuman(dxA, inDec);
             const dyHuman = atomicToHuman(D(quote.dyAtomic), outDec);
 
-            if (log) {
-                console.log(`[sim] ${shortMint(inputMint)} → ${shortMint(outputMint)} | ${shortAddr(pool.poolAddress)} | SDK-${type}`);
-                console.log(`      dx=${dxHuman.toFixed(6)} dy=${dyHuman.toFixed(6)}`);
-            }
+            logger.debug('leg', {
+                route: `${shortMint(inputMint)} → ${shortMint(outputMint)}`,
+                pool: shortAddr(pool.poolAddress),
+                via: `sdk-${type}`,
+                dx: dxHuman.toFixed(6),
+                dy: dyHuman.toFixed(6)
+            });
 
             return {
                 ok: true,
@@ -294,7 +367,7 @@ async function simulateLeg({ pool, inputMint, outputMint, dxAtomic, preferSdk =
     // const mathAvailable = Boolean(pool?.type === 'cpmm' && pool?.xReserve && pool?.yReserve);
 
     if (mathAvailable) {
-        if (log) console.log(`[sim] ${shortMint(inputMint)} → ${shortMint(outputMint)} | ${shortAddr(pool.poolAddress)} | math`);
+        logger.debug('leg math', { route: `${shortMint(inputMint)} → ${shortMint(outputMint)}`, pool: shortAddr(pool.poolAddress) });
 
         stats.mathCalls++;
 
@@ -309,11 +382,15 @@ async function simulateLeg({ pool, inputMint, outputMint, dxAtomic, preferSdk =
         if (result.ok) {
             stats.mathSuccess++;
 
-            if (log) {
-                const discountNote = result.isApproximation ? ` (${result.discountApplied}% discount)` : '';
-                console.log(`[sim] ${shortMint(inputMint)} → ${shortMint(outputMint)} | ${shortAddr(pool.poolAddress)} | ${result.via}${discountNote}`);
-                console.log(`      dx=${D(result.dxHuman).toFixed(6)} dy=${D(result.dyHuman).toFixed(6)} impact=${D(result.priceImpactPct).toFixed(4)}%`);
-            }
+            logger.debug('leg', {
+                route: `${shortMint(inputMint)} → ${shortMint(outputMint)}`,
+                pool: shortAddr(pool.poolAddress),
+                via: result.via,
+                discountPct: result.isApproximation ? result.discountApplied : undefined,
+                dx: D(result.dxHuman).toFixed(6),
+                dy: D(result.dyHuman).toFixed(6),
+                impactPct: D(result.priceImpactPct).toFixed(4)
+            });
             return {
                 ...result,
                 type,
@@ -329,148 +406,662 @@ async function simulateLeg({ pool, inputMint, outputMint, dxAtomic, preferSdk =
     stats.failures++;
     return {
         ok: false,
-        reason: `no-simulation-method: type=${type}, sdk=${sdkAvailable}, math=${mathAvailable}`,
+        reason: `no-simulation-method: type=${type}, sdk=${Boolean(quote)}, math=${mathAvailable}`,
         poolAddress: pool.poolAddress
     };
 }
 
 /**
+ * Simulate a single swap leg backwards: the input needed for an exact output
  * @param {Object} params
- * @param {Object} params.pools - Array of 3 pools [poolAB, poolBC, poolCA]
- * @param {string} params.tokenA - Token A mint
- * @param {string} params.tokenB - Token B mint (intermediate)
- * @param {string} params.tokenC - Token C mint
- * @param {string} params.dxAtomic - Input amount of token A
- * @param {number} params.maxImpactPct - Max price impact per leg
- * @param {boolean} params.log - Enable logging
- * @param {boolean} params.execute - Execute if profitable
- * @param {Connection} params.connection - Connection required for execution
- * @returns {Promise<Object>} { ok, legs, profitPct, ... }
+ * @param {Object} params.pool - Pool object
+ * @param {string} params.inputMint - Input token mint
+ * @param {string} params.outputMint - Output token mint
+ * @param {string} params.dyAtomic - Wanted output amount in atomic units
+ * @param {Object} params.ctx - Engine context; shared default when omitted
+ * @returns {Promise<Object>} Same shape as simulateLeg plus { maxDxAtomic, exactOut: true }
  */
+async function simulateLegExactOut({ pool, inputMint, outputMint, dyAtomic, ctx = null }) {
+    const type = normalizeType(pool);
+    const dex = normalizeDex(pool);
+    const dyA = D(dyAtomic).ceil();
+    const context = resolveEngineContext(ctx);
 
-async function simulateTriangularRoute({ pools, tokenA, tokenB, tokenC, dxAtomic, maxImpactPct = 5, log = false, execute = false, connection = null }) {
-
-    pools[1], pools[2], pools[3] = pools;
-    const dxA = D(dxAtomic).floor();
-    // Validate triangle orientation
-    const triangle = await validateTriangle(pools);
-    const { startMint, inMints } = triangle;
-    const [poolAB, poolBC, poolCA] = pools;
-    const [inAB, inBC, inCA] = inMints;
-    if (!pools || pools.length !== 3) {
-        return { ok: false, reason: 'need-3-pools' };
+    if (dyA.lte(0)) {
+        return { ok: false, reason: 'dyAtomic <= 0' };
     }
-    if (![tokenA, tokenB, tokenC].every(t => typeof t === 'string')) {
-        return { ok: false, reason: 'missing-mints' };
+
+    stats.sdkCalls++;
+    const swapForY = (inputMint === pool.baseMint);
+    const quote = await sdk.quoteExactOut(pool, swapForY, dyA.toString(), context);
+    if (!quote || !quote.success || !quote.inAmountRaw || !D(quote.inAmountRaw).gt(0)) {
+        stats.failures++;
+        return {
+            ok: false,
+            reason: `${type}-exact-out-failed${quote?.error ? `: ${quote.error}` : ''}`,
+            poolAddress: pool.poolAddress
+        };
     }
-    if (dxAtomic == null || Number.isNaN(Number(dxAtomic))) {
-        return { ok: false, reason: 'missing-dx' };
+    stats.sdkSuccess++;
+
+    let inDec, outDec;
+    try {
+        inDec = await inputDecimals(pool, inputMint, context);
+        outDec = await inputDecimals(pool, outputMint, context);
+    } catch (e) {
+        stats.failures++;
+        return { ok: false, reason: `decimals: ${e.message}`, poolAddress: pool.poolAddress };
     }
-    if (maxImpactPct == null || Number.isNaN(maxImpactPct)) {
-        return { ok: false, reason: 'missing-max-impact' };
+    // Adapters may deliver slightly more than asked; the leg reports what the quote returns
+    const dyOut = D(quote.outAmountRaw || dyA).floor();
+    const dxHuman = atomicToHuman(D(quote.inAmountRaw), inDec);
+    const dyHuman = atomicToHuman(dyOut, outDec);
+
+    logger.debug('leg exact-out', {
+        route: `${shortMint(inputMint)} → ${shortMint(outputMint)}`,
+        pool: shortAddr(pool.poolAddress),
+        via: `sdk-${type}`,
+        dx: dxHuman.toFixed(6),
+        dy: dyHuman.toFixed(6)
+    });
+
+    return {
+        ok: true,
+        via: `sdk-${type}`,
+        poolAddress: pool.poolAddress,
+        type,
+        dex,
+        dxAtomic: String(quote.inAmountRaw),
+        maxDxAtomic: String(quote.maxInAmountRaw ?? quote.inAmountRaw),
+        dxHuman: dxHuman.toString(),
+        dyAtomic: dyOut.toString(),
+        dyHuman: dyHuman.toString(),
+        inDecimals: inDec,
+        outDecimals: outDec,
+        priceImpactPct: quote.priceImpact != null ? (quote.priceImpact * 100).toString() : '0',
+        feeRate: quote.fee?.toString() || pool.fee?.toString() || '0.003',
+        isSdkVerified: true,
+        exactOut: true,
+        binArrays: quote.binArrays || []
+    };
+}
+
+/**
+ * Simulate a leg split across several pools for the same pair (see legSplitter.js)
+ * @param {Object} params
+ * @param {Object[]} params.pools - Same-pair pools, e.g. triangleGraph.poolsForPair()
+ * @param {string} params.inputMint - Input token mint
+ * @param {string} params.outputMint - Output token mint
+ * @param {string} params.dxAtomic - Total input amount in atomic units
+ * @param {number} params.steps - Chunks the input is divided into (default 10)
+ * @param {Object} params.ctx - Engine context; shared default when omitted
+ * @returns {Promise<Object>} Leg result with { split: true, splits: [{ poolAddress, dxAtomic, dyAtomic, ... }] }
+ */
+async function simulateSplitLeg({ pools, inputMint, outputMint, dxAtomic, steps = 10, ctx = null }) {
+    if (!Array.isArray(pools) || pools.length === 0) return { ok: false, reason: 'missing-pools' };
+    const context = resolveEngineContext(ctx);
+    const usable = pools.filter(p => (p.baseMint === inputMint && p.quoteMint === outputMint)
+        || (p.quoteMint === inputMint && p.baseMint === outputMint));
+    if (usable.length !== pools.length) return { ok: false, reason: 'split-pools-not-same-pair' };
+
+    const quoters = pools.map(pool => ({
+        pool,
+        adapter: cachedQuoter(pool, context),
+        swapForY: inputMint === pool.baseMint
+    }));
+    stats.sdkCalls++;
+    const r = await splitLeg({ quoters, dxAtomic, steps });
+    if (!r.ok) {
+        stats.failures++;
+        return { ok: false, reason: `split: ${r.reason}`, poolAddress: pools[0].poolAddress };
     }
+    stats.sdkSuccess++;
 
+    let inDec, outDec;
+    try {
+        inDec = await inputDecimals(pools[0], inputMint, context);
+        outDec = await inputDecimals(pools[0], outputMint, context);
+    } catch (e) {
+        stats.failures++;
+        return { ok: false, reason: `decimals: ${e.message}`, poolAddress: pools[0].poolAddress };
+    }
 
-    const leg1 = await simulateLeg({
-        pool: pools[0],
-        inputMint: tokenA,
-        outputMint: tokenB,
-        dxAtomic: leg2.dyAtomic,
-        preferSdk: true,
-        log
+    const splits = r.splits.map(s => {
+        const pool = pools[s.index];
+        const type = normalizeType(pool);
+        return {
+            poolAddress: pool.poolAddress,
+            type,
+            dex: normalizeDex(pool),
+            via: `sdk-${type}`,
+            dxAtomic: s.dxAtomic,
+            dyAtomic: s.dyAtomic,
+            shareBps: s.shareBps,
+            binArrays: s.quote?.binArrays || []
+        };
     });
 
-    const leg2 = await simulateLeg({
-        pool: pools[1],
-        inputMint: tokenB,
-        outputMint: tokenC,
-        dxAtomic: leg2.dyAtomic,
-        preferSdk: true,
-        log
+    logger.debug('leg split', {
+        route: `${shortMint(inputMint)} → ${shortMint(outputMint)}`,
+        split: splits.map(s => `${shortAddr(s.poolAddress)}:${(s.shareBps / 100).toFixed(0)}%`).join(' '),
+        dx: atomicToHuman(D(r.dxAtomic), inDec).toFixed(6),
+        dy: atomicToHuman(D(r.dyAtomic), outDec).toFixed(6),
+        improvementBps: r.improvementBps
     });
 
-    const leg3 = await simulateLeg({
-        pool: pools[2],
-        inputMint: tokenC,
-        outputMint: tokenA,
-        dxAtomic: leg3.dyAtomic,
-        preferSdk: true,
-        log
+    return {
+        ok: true,
+        split: true,
+        via: 'split',
+        poolAddress: splits.length === 1 ? splits[0].poolAddress : null,
+        poolAddresses: splits.map(s => s.poolAddress),
+        type: splits.length === 1 ? splits[0].type : 'split',
+        dex: splits.length === 1 ? splits[0].dex : 'split',
+        dxAtomic: r.dxAtomic,
+        dxHuman: atomicToHuman(D(r.dxAtomic), inDec).toString(),
+        dyAtomic: r.dyAtomic,
+        dyHuman: atomicToHuman(D(r.dyAtomic), outDec).toString(),
+        inDecimals: inDec,
+        outDecimals: outDec,
+        splits,
+        bestSingle: r.bestSingle,
+        improvementBps: r.improvementBps,
+        isSdkVerified: true
+    };
+}
+
+const MIN_CYCLE_HOPS = 2;
+const MAX_CYCLE_HOPS = 5;
+
+// True when pools[i] trades mints[i] -> mints[i + 1] and the last hop returns to mints[0]
+function cycleCloses(pools, mints) {
+    return pools.every((hop, i) => {
+        const inMint = mints[i];
+        const outMint = mints[(i + 1) % mints.length];
+        return (Array.isArray(hop) ? hop : [hop]).every(p => (p.baseMint === inMint && p.quoteMint === outMint)
+            || (p.quoteMint === inMint && p.baseMint === outMint));
     });
-    return { ok: false, reason: 'need-3-pools' };
+}
+
+/**
+ * Simulate an N-hop cycle (2 to 5 legs) starting and ending in mints[0]
+ *
+ * Two modes:
+ *   - exact-in (dxAtomic): walk the legs forward from dxAtomic of mints[0]
+ *   - exact-out (targetOutAtomic): walk the legs backwards with quoteExactOut so
+ *     the last leg returns exactly targetOutAtomic (e.g. a flashloan repayment);
+ *     dxAtomic is then the start-token input the route needs
+ *
+ * @param {Object} params
+ * @param {Array<Object|Object[]>} params.pools - Pools in hop order; an array of same-pair pools
+ *   splits that hop across them (simulateSplitLeg, exact-in only)
+ * @param {string[]} [params.mints] - Input mint of each hop; derived from the pools when omitted
+ * @param {string} [params.dxAtomic] - Input amount of mints[0]
+ * @param {number} [params.splitSteps] - Chunks per split hop (default 10)
+ * @param {string} [params.targetOutAtomic] - Output of mints[0] to hit exactly; used when dxAtomic is not given
+ * @param {boolean} params.preferSdk - Prefer SDK over math (default true)
+ * @param {Object} params.ctx - Engine context passed to every leg
+ * @param {PriceOracle} params.priceOracle - Prices profitUsd (default: the context's oracle, if any)
+ * @param {Object} params.costs - Cost model config, see costModel.resolveCosts (default: the context's)
+ * @param {Object} params.slippage - { routeToleranceBps, weights } for allocateSlippage (default: the context's)
+ * @param {number} [params.maxProfitPct] - Gross profit above which the route is rejected as bad data (default: the context's, 50)
+ * @returns {Promise<Object>} { ok, mode, legs, mints, dxAtomic, outAtomic, profitAtomic, profitPct, profitUsd,
+ *   costs, netProfitAtomic, netProfitPct, netProfitUsd, slippage, ... }
+ *   An 'unrealistic-profit' failure carries { diagnosis, suspectLeg, cause } (see profitDiagnosis.js)
+ */
+async function simulateCycleRoute({ pools, mints = null, dxAtomic = null, targetOutAtomic = null, splitSteps = 10, preferSdk = true, ctx = null, priceOracle = null, costs = null, slippage = null, maxProfitPct = null }) {
+    if (!Array.isArray(pools) || pools.length < MIN_CYCLE_HOPS || pools.length > MAX_CYCLE_HOPS) {
+        return { ok: false, reason: `need-${MIN_CYCLE_HOPS}-to-${MAX_CYCLE_HOPS}-pools` };
+    }
+    const exactOut = dxAtomic == null && targetOutAtomic != null;
+    const amount = exactOut ? targetOutAtomic : dxAtomic;
+    if (amount == null || Number.isNaN(Number(amount))) {
+        return { ok: false, reason: 'missing-dx' };
+    }
 
+    let inMints = mints;
+    if (inMints == null) {
+        const orientation = await solveCycleOrientation(pools);
+        if (!orientation) return { ok: false, reason: 'cycle-does-not-close' };
+        inMints = orientation.inMints;
+    }
+    if (!Array.isArray(inMints) || inMints.length !== pools.length || !inMints.every(m => typeof m === 'string')) {
+        return { ok: false, reason: 'missing-mints' };
+    }
+    if (!cycleCloses(pools, inMints)) {
+        return { ok: false, reason: 'cycle-does-not-close' };
+    }
+
+    const legs = [];
+    let dxA, outA;
+
+    if (exactOut) {
+        // Last hop first: each leg must produce the input the next one needs
+        let dy = D(targetOutAtomic).ceil().toString();
+        if (pools.some(Array.isArray)) return { ok: false, mode: 'exact-out', reason: 'split-leg-exact-out-unsupported' };
+        for (let i = pools.length - 1; i >= 0; i--) {
+            const leg = await simulateLegExactOut({
+                pool: pools[i],
+                inputMint: inMints[i],
+                outputMint: inMints[(i + 1) % inMints.length],
+                dyAtomic: dy,
+                ctx
+            });
+            legs.unshift(leg);
+            if (!leg.ok) return { ok: false, mode: 'exact-out', reason: `leg${i + 1}: ${leg.reason}`, legs };
+            dy = leg.dxAtomic;
+        }
+        dxA = D(dy);
+        outA = D(legs[legs.length - 1].dyAtomic);
+    } else {
+        dxA = D(dxAtomic).floor();
+        let dx = dxA.toString();
+        for (let i = 0; i < pools.length; i++) {
+            const legParams = {
+                inputMint: inMints[i],
+                outputMint: inMints[(i + 1) % inMints.length],
+                dxAtomic: dx,
+                ctx
+            };
+            const leg = Array.isArray(pools[i])
+                ? await simulateSplitLeg({ ...legParams, pools: pools[i], steps: splitSteps })
+                : await simulateLeg({ ...legParams, pool: pools[i], preferSdk });
+            legs.push(leg);
+            if (!leg.ok) return { ok: false, reason: `leg${i + 1}: ${leg.reason}`, legs };
+            dx = leg.dyAtomic;
+        }
+        outA = D(dx);
+    }
+
+    return buildCycleResult({
+        mode: exactOut ? 'exact-out' : 'exact-in',
+        pools, inMints, legs, dxA, outA, ctx, priceOracle, costs, slippage, maxProfitPct
+    });
 }
 
+// Profit, costs and slippage allocation for a fully simulated cycle (either mode)
+function buildCycleResult({ mode, pools, inMints, legs, dxA, outA, ctx, priceOracle, costs, slippage, maxProfitPct }) {
+    const profitA = outA.minus(dxA);
+    const profitPct = profitA.div(dxA).mul(100);
+    const state = engineStateFor(resolveEngineContext(ctx));
+    // null when no oracle is set or the start mint has no USD price
+    const oracle = priceOracle || state.priceOracle;
+    const profitUsd = oracle ? oracle.toUsd(inMints[0], profitA, legs[0].inDecimals) : null;
+
+    // Net of network fees, rent and flashloan fee; null parts when the oracle cannot convert them
+    const routeCosts = estimateRouteCosts({
+        mints: inMints,
+        dxAtomic: dxA.toString(),
+        profitAtomic: profitA.toString(),
+        startDecimals: legs[0].inDecimals,
+        priceOracle: oracle,
+        costs: costs || state.costs
+    });
+    const netProfitUsd = oracle && routeCosts.netProfitAtomic != null
+        ? oracle.toUsd(inMints[0], routeCosts.netProfitAtomic, legs[0].inDecimals)
+        : null;
+
+    // Per-leg minOut chain: the last leg must still return loan + flashloan fee,
+    // plus network costs and the configured minimum net profit
+    const costConfig = resolveCosts(costs || state.costs);
+    const slippageAllocation = allocateSlippage({
+        legs,
+        repayAtomic: dxA.plus(D(routeCosts.flashloanFeeAtomic)).toString(),
+        minProfitAtomic: D(routeCosts.networkCostAtomic || 0).plus(D(costConfig.minNetProfitAtomic)).toString(),
+        ...(slippage || state.slippage || {})
+    });
 
-// Calculate profit
-const outA = D(leg3.dyAtomic);
-const profitA = outA.minus(dxA);
-const profitPct = profitA.div(dxA).mul(100);
+    logger.debug('route', {
+        route: `${inMints.map(shortMint).join(' -> ')} -> ${shortMint(inMints[0])}`,
+        mode,
+        profitPct: profitPct.toFixed(4),
+        netProfitPct: routeCosts.ok ? D(routeCosts.netProfitPct).toFixed(4) : null,
+        costsAtomic: routeCosts.totalCostAtomic
+    });
 
-console.log(`simulateTriangularRoute called with:`);
-console.log(` tokenA: ${symbol(tokenA)}, tokenB: ${symbol(tokenB)}, tokenC: ${symbol(tokenC)}`);
-console.log(` dxAtomic: ${dxAtomic}, maxImpactPct: ${maxImpactPct}`);
-console.log(` Leg 1: ${JSON.stringify(leg1, null, 2)}`);
-console.log(` Leg 2: ${JSON.stringify(leg2, null, 2)}`);
-console.log(` Leg 3: ${JSON.stringify(leg3, null, 2)}`);
-console.log(`[SIM] Profit: ${profitPct.toFixed(4)}%`);
-console.log(`[SIM] Legs:`);
-console.log(` validateTriangle returned: ${JSON.stringify(triangle, null, 2)}`)
+    // Unrealistic profit is bad data somewhere; name the leg and the likely cause
+    const maxPct = maxProfitPct ?? state.maxProfitPct;
+    if (!profitPct.isFinite() || profitPct.abs().gt(maxPct)) {
+        const diagnosis = diagnoseCycle({ pools, inMints, legs, priceOracle: oracle });
+        const suspect = diagnosis.suspect;
+        logger.warn('unrealistic profit', {
+            route: `${inMints.map(shortMint).join(' -> ')} -> ${shortMint(inMints[0])}`,
+            profitPct: profitPct.toFixed(4),
+            maxProfitPct: maxPct,
+            suspectLeg: suspect?.leg,
+            pool: suspect?.pool,
+            cause: suspect?.cause,
+            detail: suspect?.detail
+        });
+        for (const d of diagnosis.legs) {
+            logger.debug('leg diagnosis', {
+                leg: d.leg, pool: d.pool, dir: d.dir, execPx: d.execPx, midPx: d.midPx,
+                oraclePx: d.oraclePx, feeBps: d.feeBps, cause: d.cause
+            });
+        }
+        return {
+            ok: false,
+            mode,
+            reason: 'unrealistic-profit',
+            profitPct: profitPct.toString(),
+            maxProfitPct: maxPct,
+            suspectLeg: suspect ? suspect.leg : null,
+            cause: suspect ? suspect.cause : null,
+            diagnosis: diagnosis.legs,
+            legs
+        };
+    }
 
-// Check for unrealistic profit (likely bad data)
-if (!profitPct.isFinite() || profitPct.abs().gt(50)) {
     return {
-        ok: false,
-        reason: 'unrealistic-profit',
+        ok: true,
+        schemaVersion: SCHEMA_VERSION,
+        mode,
+        legs,
+        mints: inMints,
+        hops: pools.length,
+        dxAtomic: dxA.toString(),
+        outAtomic: outA.toString(),
+        profitAtomic: profitA.toString(),
         profitPct: profitPct.toString(),
-        legs: [leg1, leg2, leg3]
+        profitUsd,
+        costs: routeCosts,
+        netProfitAtomic: routeCosts.netProfitAtomic,
+        netProfitPct: routeCosts.netProfitPct,
+        netProfitUsd,
+        slippage: slippageAllocation,
+        isSdkVerified: legs.some(l => l.isSdkVerified),
+        pools: pools.map(p => (Array.isArray(p) ? p.map(x => x.poolAddress) : p.poolAddress)),
+        types: pools.map(p => (Array.isArray(p) ? p.map(x => normalizeType(x)) : normalizeType(p))),
+        vias: legs.map(l => l.via)
     };
 }
 
-const isSdkVerified = leg1.isSdkVerified || leg2.isSdkVerified || leg3.isSdkVerified;
-
-const result = {
-    ok: true,
-    legs: [leg1, leg2, leg3],
-    tokenA: symbol(tokenA),
-    tokenB: symbol(tokenB),
-    tokenC: symbol(tokenC),
-    dxAtomic: dxA.toString(),
-    outAtomic: outA.toString(),
-    profitAtomic: profitA.toString(),
-    profitPct: profitPct.toString(),
-    isSdkVerified,
-    pools: pools.map(p => p.poolAddress),
-    types: pools.map(p => normalizeType(p)),
-    vias: [leg1.via, leg2.via, leg3.via]
-};
+// Every rotation of the cycle in both directions: 2 * hops orientations.
+// Reversed, hop i goes through pools[n - 1 - i]: mints[0] -> mints[n - 1] -> ... -> mints[1].
+function cycleOrientations(pools, mints) {
+    const n = pools.length;
+    const revPools = [...pools].reverse();
+    const revMints = [mints[0], ...mints.slice(1).reverse()];
+    const out = [];
+    for (const [direction, ps, ms] of [['forward', pools, mints], ['reverse', revPools, revMints]]) {
+        for (let k = 0; k < n; k++) {
+            out.push({
+                direction,
+                startMint: ms[k],
+                pools: [...ps.slice(k), ...ps.slice(0, k)],
+                mints: [...ms.slice(k), ...ms.slice(0, k)]
+            });
+        }
+    }
+    return out;
+}
 
+// Route results ranked by profitUsd; results the oracle cannot price go last, by profitPct
+function compareRouteResults(a, b) {
+    const au = a.profitUsd, bu = b.profitUsd;
+    if (au != null && bu != null && au !== bu) return bu - au;
+    if (au != null && bu == null) return -1;
+    if (au == null && bu != null) return 1;
+    return D(b.profitPct).cmp(D(a.profitPct));
+}
 
-// HOOK: Execution Trigger
-if (execute && D(profitPct).gt(0) && connection && PAYER_KEYPAIR) {
-    try {
-        console.log(`[EXEC] Attempting execution for profit ${profitPct.toFixed(4)}%...`);
-        const txSig = await executeFlashloan({
-            connection,
-            payer: PAYER_KEYPAIR,
-            legs: [
-                { ...leg1, inputMint: tokenA, outputMint: tokenB, poolAddress: poolAB.address || poolAB.poolAddress },
-                { ...leg2, inputMint: tokenB, outputMint: tokenC, poolAddress: poolBC.address || poolBC.poolAddress },
-                { ...leg3, inputMint: tokenC, outputMint: tokenA, poolAddress: poolCA.address || poolCA.poolAddress }
-            ],
-            loanAmount: dxA.toString(),
-            loanMint: tokenA
+function mintDecimalsFromPools(pools, mint) {
+    for (const p of pools.flat()) {
+        if (p.baseMint === mint && p.baseDecimals != null) return Number(p.baseDecimals);
+        if (p.quoteMint === mint && p.quoteDecimals != null) return Number(p.quoteDecimals);
+    }
+    return null;
+}
+
+/**
+ * Simulate a cycle in both directions from every anchor mint and report the best.
+ *
+ * The start amount is per mint: dxAtomic may be a function (mint) => amount or a
+ * { mint: amount } map; a plain string applies to the first anchor only. Mints
+ * without an amount fall back to notionalUsd through the price oracle, and are
+ * skipped when that is not possible either.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.pools - Pools in hop order (any valid orientation)
+ * @param {string[]} [params.mints] - Input mint of each hop; derived from the pools when omitted
+ * @param {string|Object|Function} [params.dxAtomic] - Start amount per anchor (see above)
+ * @param {number} [params.notionalUsd] - Start amount in USD for anchors without dxAtomic
+ * @param {string[]} [params.anchors] - Start mints to try, in order (default: every mint in the cycle)
+ * @param {Object} params.ctx - Engine context
+ * @param {PriceOracle} params.priceOracle - For notionalUsd and ranking (default: the context's)
+ * @param {number} [params.maxProfitPct] - Unrealistic-profit threshold in percent (default: the context's)
+ * @returns {Promise<Object>} { ok, best, orientations: [{ startMint, direction, ok, profitPct, profitUsd, reason? }] }
+ *   best is a simulateCycleRoute result plus { startMint, direction }
+ */
+async function evaluateCycleOrientations({ pools, mints = null, dxAtomic = null, notionalUsd = null, anchors = null, preferSdk = true, ctx = null, priceOracle = null, costs = null, slippage = null, maxProfitPct = null }) {
+    if (!Array.isArray(pools) || pools.length < MIN_CYCLE_HOPS || pools.length > MAX_CYCLE_HOPS) {
+        return { ok: false, reason: `need-${MIN_CYCLE_HOPS}-to-${MAX_CYCLE_HOPS}-pools` };
+    }
+    let inMints = mints;
+    if (inMints == null) {
+        const orientation = await solveCycleOrientation(pools);
+        if (!orientation) return { ok: false, reason: 'cycle-does-not-close' };
+        inMints = orientation.inMints;
+    }
+    if (!cycleCloses(pools, inMints)) return { ok: false, reason: 'cycle-does-not-close' };
+
+    const startMints = anchors ? anchors.filter(m => inMints.includes(m)) : inMints;
+    if (startMints.length === 0) return { ok: false, reason: 'no-anchor-in-cycle' };
+
+    const oracle = priceOracle || engineStateFor(resolveEngineContext(ctx)).priceOracle;
+    const dxFor = (mint) => {
+        let dx = null;
+        if (typeof dxAtomic === 'function') dx = dxAtomic(mint);
+        else if (dxAtomic && typeof dxAtomic === 'object') dx = dxAtomic[mint];
+        else if (dxAtomic != null && mint === startMints[0]) dx = dxAtomic;
+        if (dx != null) return String(dx);
+
+        const usd = oracle?.priceUsd(mint);
+        const dec = mintDecimalsFromPools(pools, mint);
+        if (notionalUsd == null || !usd || dec == null) return null;
+        return D(notionalUsd).div(usd).mul(D(10).pow(dec)).floor().toFixed(0);
+    };
+
+    const candidates = cycleOrientations(pools, inMints)
+        .filter(o => startMints.includes(o.startMint))
+        .sort((a, b) => startMints.indexOf(a.startMint) - startMints.indexOf(b.startMint));
+
+    const orientations = [];
+    const succeeded = [];
+    for (const o of candidates) {
+        const dx = dxFor(o.startMint);
+        if (dx == null) {
+            orientations.push({ startMint: o.startMint, direction: o.direction, ok: false, reason: 'no-amount-for-anchor', skipped: true });
+            continue;
+        }
+        const r = await simulateCycleRoute({
+            pools: o.pools,
+            mints: o.mints,
+            dxAtomic: dx,
+            preferSdk,
+            ctx,
+            priceOracle: oracle,
+            costs,
+            slippage,
+            maxProfitPct
         });
-        result.txSignature = txSig;
-        console.log(`[EXEC] SUCCESS: ${txSig}`);
-    } catch (e) {
-        console.error(`[EXEC] FAILED: ${e.message}`);
-        result.execError = e.message;
+        orientations.push({
+            startMint: o.startMint,
+            direction: o.direction,
+            ok: r.ok,
+            dxAtomic: dx,
+            profitPct: r.profitPct ?? null,
+            profitUsd: r.profitUsd ?? null,
+            ...(r.ok ? {} : { reason: r.reason }),
+            ...(r.suspectLeg != null ? { suspectLeg: r.suspectLeg, cause: r.cause } : {})
+        });
+        if (r.ok) succeeded.push({ ...r, startMint: o.startMint, direction: o.direction });
+    }
+
+    if (succeeded.length === 0) {
+        const firstFailure = orientations.find(o => !o.ok && !o.skipped);
+        return {
+            ok: false,
+            reason: firstFailure?.reason || 'no-amount-for-anchor',
+            ...(firstFailure?.cause ? { suspectLeg: firstFailure.suspectLeg, cause: firstFailure.cause } : {}),
+            orientations
+        };
+    }
 
-    } if (execute && (!connection || !PAYER_KEYPAIR)) {
-        console.warn("[EXEC] Execution requested but missing connection or payer keypair");
+    succeeded.sort(compareRouteResults);
+    return { ok: true, best: succeeded[0], orientations };
+}
+
+/**
+ * @param {Object} params
+ * @param {Object} params.pools - Array of 3 pools [poolAB, poolBC, poolCA]
+ * @param {string} params.tokenA - Token A mint
+ * @param {string} params.tokenB - Token B mint (intermediate)
+ * @param {string} params.tokenC - Token C mint
+ * @param {string} params.dxAtomic - Input amount of token A
+ * @param {number} params.maxImpactPct - Max price impact per leg
+ * @param {boolean} params.execute - Execute if profitable
+ * @param {Connection} params.connection - Connection for execution (default: ctx.connection)
+ * @param {Object} params.ctx - Engine context for quotes and decimals
+ * @param {PriceOracle} params.priceOracle - Prices profitUsd (default: the context's oracle, if any)
+ * @param {Object} params.costs - Cost model config incl. minNetProfitAtomic, the execution threshold
+ * @param {Object} params.slippage - Route slippage budget ({ routeToleranceBps, weights })
+ * @param {number} [params.maxProfitPct] - Unrealistic-profit threshold in percent (default: the context's)
+ * @returns {Promise<Object>} { ok, legs, profitPct, profitUsd, netProfitAtomic, slippage, ... }
+ *   With execute: txSignature once sent, execError if sending failed, riskDenied when the
+ *   context's RiskManager refused the trade (nothing is sent then). A sent trade is booked
+ *   against the daily loss cap at its expected loss, or at least its costs, until the caller
+ *   settles it with engine.risk.confirmTrade(txSignature, pnlUsd); nothing confirms it here.
+ *   coolingDown when the context's tracker still holds a cooldown from the last send or
+ *   failed send of the same route (nothing is sent then)
+ */
+
+async function simulateTriangularRoute({ pools, tokenA, tokenB, tokenC, dxAtomic, maxImpactPct = 5, execute = false, connection = null, ctx = null, priceOracle = null, costs = null, slippage = null, maxProfitPct = null }) {
+
+    if (!pools || pools.length !== 3) {
+        return { ok: false, reason: 'need-3-pools' };
+    }
+    if (![tokenA, tokenB, tokenC].every(t => typeof t === 'string')) {
+        return { ok: false, reason: 'missing-mints' };
+    }
+    if (dxAtomic == null || Number.isNaN(Number(dxAtomic))) {
+        return { ok: false, reason: 'missing-dx' };
+    }
+    if (maxImpactPct == null || Number.isNaN(maxImpactPct)) {
+        return { ok: false, reason: 'missing-max-impact' };
     }
 
+    // Validate triangle orientation
+    await validateTriangle(pools);
+    const [poolAB, poolBC, poolCA] = pools;
+    // A bare connection quotes through its own context too, not only executes
+    const context = resolveEngineContext(ctx || connection);
+
+    const cycle = await simulateCycleRoute({
+        pools,
+        mints: [tokenA, tokenB, tokenC],
+        dxAtomic,
+        preferSdk: true,
+        ctx: context,
+        priceOracle,
+        costs,
+        slippage,
+        maxProfitPct
+    });
+    if (!cycle.ok) return cycle;
+    if (ctx && !connection) connection = context.connection;
+
+    const [leg1, leg2, leg3] = cycle.legs;
+    const dxA = D(cycle.dxAtomic);
+    const profitPct = D(cycle.profitPct);
+    const costConfig = resolveCosts(costs || engineStateFor(context).costs);
+
+    const result = {
+        ok: true,
+        schemaVersion: SCHEMA_VERSION,
+        legs: cycle.legs,
+        tokenA: shortMint(tokenA),
+        tokenB: shortMint(tokenB),
+        tokenC: shortMint(tokenC),
+        dxAtomic: cycle.dxAtomic,
+        outAtomic: cycle.outAtomic,
+        profitAtomic: cycle.profitAtomic,
+        profitPct: cycle.profitPct,
+        profitUsd: cycle.profitUsd,
+        costs: cycle.costs,
+        netProfitAtomic: cycle.netProfitAtomic,
+        netProfitPct: cycle.netProfitPct,
+        netProfitUsd: cycle.netProfitUsd,
+        slippage: cycle.slippage,
+        isSdkVerified: cycle.isSdkVerified,
+        pools: cycle.pools,
+        types: cycle.types,
+        vias: cycle.vias
+    };
+
+    // HOOK: Execution Trigger (net of costs, above the configured minimum, with a feasible minOut chain)
+    const clearsMin = clearsMinNetProfit(cycle.costs, costConfig) && cycle.slippage.ok;
+    const [alloc1, alloc2, alloc3] = cycle.slippage.legs || [];
+    // Every send goes through the route's cooldown and the context's risk limits first
+    const { risk: riskManager, tracker, priceOracle: stateOracle } = engineStateFor(context);
+    const oracle = priceOracle || stateOracle;
+    const route = `${shortMint(tokenA)} -> ${shortMint(tokenB)} -> ${shortMint(tokenC)} -> ${shortMint(tokenA)}`;
+    let risk = null;
+    if (execute && clearsMin && connection && PAYER_KEYPAIR) {
+        tracker.sweep();
+        if (tracker.isCoolingDown(cycle)) result.coolingDown = true;
+    }
+    if (execute && clearsMin && connection && PAYER_KEYPAIR && !result.coolingDown) {
+        risk = riskManager.check({
+            route,
+            legs: cycle.legs.map((leg, i) => ({ mint: [tokenA, tokenB, tokenC][i], amountAtomic: leg.dxAtomic })),
+            notionalUsd: oracle ? oracle.toUsd(tokenA, cycle.dxAtomic, leg1.inDecimals) : null,
+            expectedProfitUsd: cycle.netProfitUsd ?? null
+        });
+    }
+    if (result.coolingDown) {
+        logger.info('execution skipped', { reason: 'cooldown', route });
+    } else if (risk && !risk.allowed) {
+        result.riskDenied = risk.reason;
+    } else if (risk) {
+        try {
+            logger.info('executing', { netProfitPct: D(cycle.netProfitPct).toFixed(4), profitPct: profitPct.toFixed(4) });
+            const txSig = await executeFlashloan({
+                connection,
+                payer: PAYER_KEYPAIR,
+                legs: [
+                    { ...leg1, ...alloc1, inputMint: tokenA, outputMint: tokenB, poolAddress: poolAB.address || poolAB.poolAddress },
+                    { ...leg2, ...alloc2, inputMint: tokenB, outputMint: tokenC, poolAddress: poolBC.address || poolBC.poolAddress },
+                    { ...leg3, ...alloc3, inputMint: tokenC, outputMint: tokenA, poolAddress: poolCA.address || poolCA.poolAddress }
+                ],
+                loanAmount: dxA.toString(),
+                loanMint: tokenA,
+                computeBudget: costConfig.computeBudget
+            });
+            result.txSignature = txSig;
+            logger.info('execution sent', { txSignature: txSig, riskDecision: risk.id });
+            // Provisional until the caller reports the realized result (risk.confirmTrade)
+            riskManager.recordSent(risk, {
+                txSignature: txSig,
+                expectedPnlUsd: cycle.netProfitUsd,
+                costUsd: oracle && cycle.costs.totalCostAtomic != null
+                    ? oracle.toUsd(tokenA, cycle.costs.totalCostAtomic, leg1.inDecimals)
+                    : null
+            });
+            tracker.recordExecution(cycle, { success: true, signature: txSig });
+        } catch (e) {
+            logger.error('execution failed', { error: e });
+            result.execError = e.message;
+            tracker.recordExecution(cycle, { success: false, error: e.message });
+        }
+    } else if (execute && !clearsMin) {
+        const why = cycle.slippage.ok
+            ? `net profit ${cycle.netProfitAtomic ?? 'unpriced'} below minimum ${costConfig.minNetProfitAtomic}`
+            : `slippage allocation failed (${cycle.slippage.reason})`;
+        logger.info('execution skipped', { reason: why });
+    } else if (execute && (!connection || !PAYER_KEYPAIR)) {
+        logger.warn('execution requested but missing connection or payer keypair');
+    }
 
     return result;
 }
@@ -478,7 +1069,7 @@ if (execute && D(profitPct).gt(0) && connection && PAYER_KEYPAIR) {
 /**
  * Executes a flashloan transaction based on the simulated legs
  */
-async function executeFlashloan({ connection, payer, legs, loanAmount, loanMint }) {
+async function executeFlashloan({ connection, payer, legs, loanAmount, loanMint, computeBudget }) {
     if (!connection || !payer || !legs || legs.length !== 3) {
 
 
@@ -499,11 +1090,13 @@ async function executeFlashloan({ connection, payer, legs, loanAmount, loanMint
 
     // 1. Prepare Route Legs for Builder
     // The builder expects: { inputMint, outputMint, amountInAtomic, minOutAtomic, poolAddress, dexType, binArrays... }
-    const routeLegs = legs.map(leg => ({
+    // Split legs become one hop (one swap instruction) per pool
+    const routeLegs = legs.flatMap(expandSplitLeg).map(leg => ({
         inputMint: leg.inputMint,
         outputMint: leg.outputMint,
-        amountInAtomic: leg.dxAtomic,
-        minOutAtomic: leg.dyAtomic, // Strict setting: min out is what we simulated
+        // From allocateSlippage: amountIn is the previous leg's minOut, so every hop is funded in the worst case
+        amountInAtomic: leg.amountInAtomic ?? leg.dxAtomic,
+        minOutAtomic: leg.minOutAtomic,
         poolAddress: leg.poolAddress,
         dexType: resolveDexType(leg), // Map 'via'/'type'/'dex' to 'dexType'
         binArrays: leg.binArrays // Pass binArrays if available (for DLMM)
@@ -530,8 +1123,7 @@ async function executeFlashloan({ connection, payer, legs, loanAmount, loanMint
         route: routeLegs,         // correct key
         flashloanInstructionBuilder: flashloanBuilder,
         borrowerProgramId: SOME_PROGRAM_ID, // if your builder needs it
-
-        opts: { slippageBps: 500 }
+        computeBudget                       // same budget the cost model priced
     });
 
     // 3. Send & Confirm
@@ -544,14 +1136,19 @@ async function executeFlashloan({ connection, payer, legs, loanAmount, loanMint
 }
 
 
-function getStats() {
-    const sdkStats = sdk.getStats();
+// Adapter latency / outcome metrics of a context (the shared default when ctx is omitted)
+function getMetrics(ctx = null) {
+    return engineStateFor(resolveEngineContext(ctx)).metrics;
+}
+
+function getStats(ctx = null) {
+    const sdkStats = sdk.getStats(ctx);
     return {
         ...stats,
         sdkDetail: sdkStats
     };
 }
-function resetStats() {
+function resetStats(ctx = null) {
     stats = {
         sdkCalls: 0,
         sdkSuccess: 0,
@@ -559,7 +1156,7 @@ function resetStats() {
         mathSuccess: 0,
         failures: 0
     };
-    sdk.resetStats();
+    sdk.resetStats(ctx);
 }
 
 function resolveDexType(leg) {
@@ -583,9 +1180,65 @@ function resolveDexType(leg) {
     return 'UNKNOWN';
 }
 
+/**
+ * Engine bound to one context: every call quotes and fetches decimals through
+ * ctx.connection instead of the shared default.
+ * @param {Object} [opts] - createEngineContext() options (an existing context works too)
+ * @param {Object} [opts.adapterPool] - AdapterPool options (maxSlotAge, maxInitFailures, evictionMs, ...)
+ * @param {Object} [opts.quoteCache] - QuoteCache options (ttlMs, maxEntries)
+ * @param {PriceOracle} [opts.priceOracle] - Oracle for profitUsd (buildPriceOracle(pools))
+ * @param {Object} [opts.costs] - Cost model config (computeBudget, flashloanFeeBps, minNetProfitAtomic, ...)
+ * @param {number} [opts.maxProfitPct] - Gross profit in percent above which routes are rejected as bad data (default 50)
+ * @param {QuoteRecorder} [opts.recorder] - Capture every adapter quote and decimals lookup (quoteRecorder.js)
+ * @param {QuoteReplayer} [opts.replay] - Answer quotes and decimals from a recorded bundle; no RPC
+ * @param {RiskManager|Object} [opts.risk] - Execution limits, or RiskManager options (default: kill switch only)
+ * @param {OpportunityTracker|Object} [opts.tracker] - Execution cooldowns per route, or OpportunityTracker options
+ */
+function createEngine(opts = {}) {
+    const ctx = createEngineContext(opts);
+    const state = engineStateFor(ctx, opts);
+    const { adapterPool, quoteCache, metrics } = state;
+    return {
+        context: ctx,
+        simulateLeg: (params) => simulateLeg({ ...params, ctx }),
+        simulateLegExactOut: (params) => simulateLegExactOut({ ...params, ctx }),
+        simulateSplitLeg: (params) => simulateSplitLeg({ ...params, ctx }),
+        simulateCycleRoute: (params) => simulateCycleRoute({ ...params, ctx }),
+        simulateTriangularRoute: (params) => simulateTriangularRoute({ ...params, ctx }),
+        evaluateCycleOrientations: (params) => evaluateCycleOrientations({ ...params, ctx }),
+        // Required lazily: triangleScanner depends on this module
+        scanTriangles: (triangles, scanOpts) => require('./triangleScanner').scanTriangles(triangles, { ...scanOpts, ctx }),
+        fetchDecimals: (mint) => fetchDecimals(ctx, mint),
+        quoter: (pool) => cachedQuoter(pool, ctx),
+        adapterPool,
+        quoteCache,
+        metrics,
+        recorder: state.recorder,
+        risk: state.risk,
+        tracker: state.tracker,
+        metricsText: (promOpts) => metrics.toPrometheus(promOpts),
+        setPriceOracle: (oracle) => { state.priceOracle = oracle; },
+        setMaxProfitPct: (pct) => { state.maxProfitPct = pct; },
+        getStats: () => getStats(ctx),
+        resetStats: () => resetStats(ctx)
+    };
+}
+
 module.exports = {
+    createEngine,
     simulateLeg,
+    simulateLegExactOut,
+    simulateSplitLeg,
     simulateTriangularRoute,
+    simulateCycleRoute,
+    evaluateCycleOrientations,
+    cycleOrientations,
+    compareRouteResults,
+    solveTriangleOrientation,
+    solveCycleOrientation,
+    fetchDecimals,
+    cachedQuoter,
+    getMetrics,
     getStats,
     resetStats
 };
@@ -0,0 +1,180 @@
+'use strict';
+/**
+ * triangleGraph.js - Token graph + triangle enumeration over a pool file
+ *
+ * Nodes are mints, edges are pools. Pools are indexed by mint and by
+ * unordered pair so every 3-cycle through an anchor mint can be listed
+ * without rescanning the whole file.
+ *
+ * Candidates carry the orientation from solveTriangleOrientation and a
+ * cheap mid-price pre-score, so the caller can decide how many to quote.
+ */
+
+const { TOKENS, getFeeRate, getMidPrice } = require('../utils/_utils');
+const { solveTriangleOrientation } = require('./triArbitrage');
+
+// Start mints when none are given
+const DEFAULT_ANCHORS = [TOKENS.SOL, TOKENS.USDC];
+
+function poolAddressOf(pool) {
+    return pool.poolAddress || pool.address || null;
+}
+
+function pairKey(mintA, mintB) {
+    return mintA < mintB ? `${mintA}:${mintB}` : `${mintB}:${mintA}`;
+}
+
+/**
+ * Build the token graph
+ * @param {Array} pools - Pool records (any loaded pool file)
+ * @returns {{ pools: Array, byMint: Map<string, Array>, byPair: Map<string, Array> }}
+ */
+function buildTokenGraph(pools) {
+    const byMint = new Map();
+    const byPair = new Map();
+    const kept = [];
+    const seen = new Set();
+
+    for (const pool of pools || []) {
+        const { baseMint, quoteMint } = pool || {};
+        if (!baseMint || !quoteMint || baseMint === quoteMint) continue;
+
+        const addr = poolAddressOf(pool);
+        if (addr) {
+            if (seen.has(addr)) continue;
+            seen.add(addr);
+        }
+        kept.push(pool);
+
+        for (const mint of [baseMint, quoteMint]) {
+            if (!byMint.has(mint)) byMint.set(mint, []);
+            byMint.get(mint).push(pool);
+        }
+
+        const key = pairKey(baseMint, quoteMint);
+        if (!byPair.has(key)) byPair.set(key, []);
+        byPair.get(key).push(pool);
+    }
+
+    return { pools: kept, byMint, byPair };
+}
+
+function neighborsOf(graph, mint) {
+    const out = new Set();
+    for (const pool of graph.byMint.get(mint) || []) {
+        out.add(pool.baseMint === mint ? pool.quoteMint : pool.baseMint);
+    }
+    return out;
+}
+
+function poolsForPair(graph, mintA, mintB) {
+    return graph.byPair.get(pairKey(mintA, mintB)) || [];
+}
+
+/**
+ * Output per unit of input at mid price, net of the pool fee.
+ * @returns {number|null} null when the pool has no usable mid price
+ */
+function legMidRate(pool, inputMint) {
+    const mid = getMidPrice(pool);
+    if (!mid || !Number.isFinite(mid) || mid <= 0) return null;
+
+    const px = inputMint === pool.baseMint ? mid : 1 / mid;
+    const fee = Math.min(Math.max(getFeeRate(pool).toNumber(), 0), 1);
+    return px * (1 - fee);
+}
+
+function preScoreOf(pools, inMints) {
+    let multiplier = 1;
+    for (let i = 0; i < pools.length; i++) {
+        const rate = legMidRate(pools[i], inMints[i]);
+        if (rate == null) return { midMultiplier: null, preScore: null };
+        multiplier *= rate;
+    }
+    return { midMultiplier: multiplier, preScore: multiplier - 1 };
+}
+
+/**
+ * List every triangle anchor -> B -> C -> anchor in the graph.
+ *
+ * @param {Array|Object} poolsOrGraph - Pool array or result of buildTokenGraph
+ * @param {Object} [opts]
+ * @param {string[]} [opts.anchors] - Start mints (default SOL, USDC)
+ * @param {number} [opts.maxPoolsPerPair] - Pools tried per pair (priced pools first)
+ * @param {number} [opts.limit] - Max candidates returned after ranking
+ * @returns {Promise<Array>} Candidates ranked by preScore (unpriced last)
+ */
+async function enumerateTriangles(poolsOrGraph, opts = {}) {
+    const {
+        anchors = DEFAULT_ANCHORS,
+        maxPoolsPerPair = 4,
+        limit = Infinity,
+    } = opts;
+
+    const graph = Array.isArray(poolsOrGraph) ? buildTokenGraph(poolsOrGraph) : poolsOrGraph;
+
+    const pick = (a, b) => {
+        const list = poolsForPair(graph, a, b);
+        const priced = list.filter(p => getMidPrice(p) != null);
+        const unpriced = list.filter(p => getMidPrice(p) == null);
+        return priced.concat(unpriced).slice(0, maxPoolsPerPair);
+    };
+
+    const out = [];
+    const seen = new Set();
+
+    for (const anchor of anchors) {
+        if (!graph.byMint.has(anchor)) continue;
+        const anchorNeighbors = neighborsOf(graph, anchor);
+
+        for (const mintB of anchorNeighbors) {
+            for (const mintC of neighborsOf(graph, mintB)) {
+                if (mintC === anchor || mintC === mintB) continue;
+                if (!anchorNeighbors.has(mintC)) continue;
+
+                for (const poolAB of pick(anchor, mintB)) {
+                    for (const poolBC of pick(mintB, mintC)) {
+                        for (const poolCA of pick(mintC, anchor)) {
+                            const pools = [poolAB, poolBC, poolCA];
+                            const key = [anchor, ...pools.map(poolAddressOf)].join('|');
+                            if (seen.has(key)) continue;
+                            seen.add(key);
+
+                            const orientation = await solveTriangleOrientation(pools);
+                            if (!orientation || orientation.startMint !== anchor) continue;
+
+                            out.push({
+                                key,
+                                anchor,
+                                pools,
+                                tokenA: anchor,
+                                tokenB: mintB,
+                                tokenC: mintC,
+                                orientation,
+                                ...preScoreOf(pools, orientation.inMints),
+                            });
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    out.sort((a, b) => {
+        if (a.preScore == null) return b.preScore == null ? 0 : 1;
+        if (b.preScore == null) return -1;
+        return b.preScore - a.preScore;
+    });
+
+    return Number.isFinite(limit) ? out.slice(0, limit) : out;
+}
+
+module.exports = {
+    buildTokenGraph,
+    enumerateTriangles,
+    neighborsOf,
+    poolsForPair,
+    pairKey,
+    legMidRate,
+    DEFAULT_ANCHORS,
+};
@@ -0,0 +1,220 @@
+'use strict';
+/**
+ * triangleScanner.js - Evaluate many triangles concurrently and rank them
+ *
+ * Takes enumerateTriangles() candidates (or anything with pools + tokenA/B/C),
+ * runs simulateTriangularRoute on each with at most `concurrency` in flight,
+ * and gives up waiting on any triangle after timeoutMs. A timed-out quote is
+ * not cancelled; its result is simply ignored.
+ *
+ * By default each triangle is evaluated in both directions from each anchor
+ * (evaluateCycleOrientations) and reported by its best orientation; the same
+ * pool set listed twice (A->B->C and A->C->B) is only evaluated once.
+ *
+ * With preFilter, triangles whose mints form no negative cycle at mid price
+ * (negativeCycles.js) are dropped before anything is quoted.
+ *
+ * Results are ranked by profitUsd so SOL- and USDC-anchored triangles compare
+ * directly; results the oracle cannot price go last, ordered by profitPct.
+ */
+
+const { D } = require('../utils/_utils');
+const { simulateTriangularRoute, evaluateCycleOrientations, compareRouteResults } = require('./triArbitrage');
+const { plausibleTriangles } = require('./negativeCycles');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('scanner');
+
+// 'leg2: decimals: decimals not found for mint ...' -> 'decimals'
+// "error: No quoter registered for pool type 'x' (...)" -> 'error: No quoter registered for pool type'
+function reasonKey(reason) {
+    const r = String(reason || 'unknown').replace(/^leg\d+:\s*/, '');
+    if (r.startsWith('error: ')) return `error: ${r.slice(7).replace(/\s*['"(].*$/, '').trim()}`;
+    return r.split(':')[0].trim() || 'unknown';
+}
+
+function withTimeout(promise, ms) {
+    if (!ms || ms <= 0 || !Number.isFinite(ms)) return promise;
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ ok: false, reason: 'timeout', timedOut: true }), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Same pools in any order or direction -> same key
+function poolSetKey(tri) {
+    return tri.pools.map(p => p.poolAddress || p.address).sort().join('|');
+}
+
+function triangleKey(tri, i) {
+    if (tri.key) return tri.key;
+    return tri.pools.map(p => p.poolAddress || p.address).join('|') || `#${i}`;
+}
+
+/**
+ * Evaluate triangles concurrently.
+ *
+ * @param {Array} triangles - [{ pools, tokenA, tokenB, tokenC, key? }] in hop order
+ * @param {Object} opts
+ * @param {string|Object|Function} opts.dxAtomic - Input amount of tokenA, a { mint: amount } map,
+ *   or (triangle) => either of those
+ * @param {string} [opts.orientations] - 'all' (both directions, every anchor; default) or 'given'
+ * @param {string[]} [opts.anchors] - With 'all': start mints to try (default tokenA, tokenB, tokenC)
+ * @param {number} [opts.notionalUsd] - With 'all': USD start amount for anchors without dxAtomic
+ * @param {number} [opts.concurrency] - Triangles in flight at once (default 8)
+ * @param {number} [opts.timeoutMs] - Per-triangle timeout, 0 disables (default 15000)
+ * @param {Object} [opts.ctx] - Engine context passed to every simulation
+ * @param {PriceOracle} [opts.priceOracle] - Oracle for profitUsd (default: the context's oracle)
+ * @param {number} [opts.maxProfitPct] - Unrealistic-profit threshold in percent (default: the context's)
+ * @param {Function} [opts.onResult] - Called with (entry) as each triangle finishes
+ * @param {AbortSignal} [opts.signal] - Once aborted no further triangles are started; those in flight finish
+ * @param {boolean|Object} [opts.preFilter] - Only quote triangles that are plausibly profitable at mid price;
+ *   an object is passed to plausibleTriangles ({ minProfitBps })
+ * @returns {Promise<Object>} { ranked, failures, summary }
+ *   ranked: ok results sorted by profitUsd desc (unpriced last), each with { key, rank, triangle }
+ *     and, with 'all', { startMint, direction, orientations }
+ *   failures: [{ key, reason, reasonKey, suspectLeg?, cause? }]
+ *   summary: { total, ok, failed, timedOut, duplicates, filtered, skipped, aborted, profitable, reasons: { [reasonKey]: count }, elapsedMs }
+ *   (filtered: dropped by preFilter; skipped: never started because of the abort)
+ */
+async function scanTriangles(triangles, opts = {}) {
+    const {
+        dxAtomic,
+        orientations = 'all',
+        anchors = null,
+        notionalUsd = null,
+        concurrency = 8,
+        timeoutMs = 15000,
+        ctx = null,
+        priceOracle = null,
+        maxProfitPct = null,
+        onResult = null,
+        signal = null,
+        preFilter = false,
+    } = opts;
+
+    if (!Array.isArray(triangles)) throw new Error('scanTriangles: triangles must be an array');
+    if (dxAtomic == null && notionalUsd == null) throw new Error('scanTriangles: dxAtomic or notionalUsd required');
+    if (orientations !== 'all' && orientations !== 'given') throw new Error(`scanTriangles: unknown orientations '${orientations}'`);
+
+    const started = Date.now();
+    const total = triangles.length;
+    if (preFilter) triangles = plausibleTriangles(triangles, preFilter === true ? {} : preFilter);
+    const entries = new Array(triangles.length);
+    const seenPoolSets = new Set();
+    let duplicates = 0;
+    let next = 0;
+
+    function simulate(tri, dx) {
+        if (orientations === 'given') {
+            return simulateTriangularRoute({
+                pools: tri.pools,
+                tokenA: tri.tokenA,
+                tokenB: tri.tokenB,
+                tokenC: tri.tokenC,
+                dxAtomic: dx,
+                ctx,
+                priceOracle,
+                maxProfitPct
+            });
+        }
+        return evaluateCycleOrientations({
+            pools: tri.pools,
+            mints: [tri.tokenA, tri.tokenB, tri.tokenC],
+            // tokenA first so a plain dxAtomic applies to it
+            anchors: anchors || [tri.tokenA, tri.tokenB, tri.tokenC],
+            dxAtomic: dx,
+            notionalUsd,
+            ctx,
+            priceOracle,
+            maxProfitPct
+        }).then(r => (r.ok ? { ...r.best, orientations: r.orientations } : r));
+    }
+
+    async function evaluate(i) {
+        const tri = triangles[i];
+        const key = triangleKey(tri, i);
+        if (orientations === 'all') {
+            const setKey = poolSetKey(tri);
+            if (seenPoolSets.has(setKey)) {
+                duplicates++;
+                return;
+            }
+            seenPoolSets.add(setKey);
+        }
+
+        let result;
+        try {
+            const dx = typeof dxAtomic === 'function' ? dxAtomic(tri) : dxAtomic;
+            result = await withTimeout(simulate(tri, dx), timeoutMs);
+        } catch (e) {
+            result = { ok: false, reason: `error: ${e.message}` };
+        }
+        const entry = { key, triangle: tri, result };
+        entries[i] = entry;
+        if (onResult) {
+            // listener errors must not stop the scan
+            try { onResult(entry); } catch (e) { logger.warn('onResult threw', { key, error: e }); }
+        }
+    }
+
+    async function worker() {
+        while (next < triangles.length && !signal?.aborted) {
+            const i = next++;
+            await evaluate(i);
+        }
+    }
+
+    const workers = Math.max(1, Math.min(Number(concurrency) || 1, triangles.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    const ranked = [];
+    const failures = [];
+    const reasons = {};
+    let timedOut = 0;
+
+    for (const { key, triangle, result } of entries.filter(Boolean)) {
+        if (result?.ok) {
+            ranked.push({ ...result, key, triangle });
+            continue;
+        }
+        const rk = reasonKey(result?.reason);
+        reasons[rk] = (reasons[rk] || 0) + 1;
+        if (result?.timedOut) timedOut++;
+        failures.push({
+            key,
+            reason: result?.reason || 'unknown',
+            reasonKey: rk,
+            // unrealistic-profit: which leg looks wrong and why
+            ...(result?.cause ? { suspectLeg: result.suspectLeg, cause: result.cause } : {})
+        });
+    }
+
+    ranked.sort(compareRouteResults);
+    ranked.forEach((r, i) => { r.rank = i + 1; });
+    logger.debug('scan done', { total, filtered: total - triangles.length, ok: ranked.length, failed: failures.length, timedOut, duplicates });
+
+    return {
+        ranked,
+        failures,
+        summary: {
+            total,
+            ok: ranked.length,
+            failed: failures.length,
+            timedOut,
+            duplicates,
+            filtered: total - triangles.length,
+            skipped: triangles.length - next,
+            aborted: Boolean(signal?.aborted),
+            profitable: ranked.filter(r => D(r.profitPct).gt(0)).length,
+            reasons,
+            elapsedMs: Date.now() - started,
+        },
+    };
+}
+
+module.exports = {
+    scanTriangles,
+    reasonKey,
+};
@@ -49,11 +49,14 @@ function normalizeType(p) {
   const t = (p?.type ?? p?.poolType ?? p?.raw?.type ?? p?.raw?.poolType ?? p?.raw?._original?.type ?? '').toString().toLowerCase();
   if (t.includes('dlmm')) return 'dlmm';
   if (t.includes('whirlpool') || t.includes('orca')) return 'whirlpool';
-  if (t.includes('clmm')) return 'clmm';
-  if (t.includes('cpmm') || t.includes('amm') || t.includes('constant')) return 'cpmm';
+  // Raydium's API calls its pools 'Concentrated' (CLMM) and 'Standard' (constant product)
+  if (t.includes('clmm') || t === 'concentrated') return 'clmm';
+  if (t.includes('cpmm') || t.includes('amm') || t.includes('constant') || t === 'standard') return 'cpmm';
   if (p?.binStep || p?.raw?.bin_step) return 'dlmm';
   if (p?.tickSpacing || p?.raw?.tickSpacing) return 'whirlpool';
-  return 'cpmm';
+  // Anything else keeps its own name, so the quoter registry rejects it instead of
+  // it being quoted with constant-product math
+  return t || 'unknown';
 }
 
 function getFeeRate(p) {
@@ -108,6 +111,59 @@ function hasReserves(pool) {
 function getReserves(pool) {
   return { x: D(pool.xReserve), y: D(pool.yReserve) };
 }
+
+const Q64 = new Decimal(2).pow(64);
+
+/**
+ * Mid price of a pool as quote-per-base in human units.
+ * Sources, in order: pool.midPrice, clmm.sqrtPriceX64, x/y reserves.
+ *
+ * Pool files from the API carry the human price in clmm.sqrtPriceX64. A raw
+ * on-chain Q64.64 value is only read as such when the record says so with
+ * clmm.sqrtPriceEncoding === 'q64' (set by the account decoders).
+ * @param {Object} pool - Enriched pool record
+ * @returns {number|null} Price or null if nothing usable is on the record
+ */
+function getMidPrice(pool) {
+  if (!pool) return null;
+
+  const mid = toNumberOrNull(pool.midPrice);
+  if (mid && mid > 0) return mid;
+
+  const baseDec = toNumberOrNull(pool.baseDecimals);
+  const quoteDec = toNumberOrNull(pool.quoteDecimals);
+
+  const sqrt = pool.clmm?.sqrtPriceX64;
+  if (sqrt != null && D(sqrt).gt(0)) {
+    if (pool.clmm.sqrtPriceEncoding !== 'q64') return D(sqrt).toNumber();
+    if (baseDec == null || quoteDec == null) return null;
+    return D(sqrt).div(Q64).pow(2).mul(D(10).pow(baseDec - quoteDec)).toNumber();
+  }
+
+  if (hasReserves(pool) && baseDec != null && quoteDec != null) {
+    const { x, y } = getReserves(pool);
+    return atomicToHuman(y, quoteDec).div(atomicToHuman(x, baseDec)).toNumber();
+  }
+  return null;
+}
+// Adapter argument forms. quoteExactIn(inAmountAtomic, swapForY, slippageBps, opts)
+// also takes DLMMAdapter's object form ({ inAmountLamports, swapForY, slippageBps }, opts)
+function unpackQuoteArgs(args) {
+  const [first] = args;
+  if (first && typeof first === 'object' && 'inAmountLamports' in first) {
+    return [first.inAmountLamports, first.swapForY ?? true, first.slippageBps ?? 50, args[1] || {}];
+  }
+  return args;
+}
+// quoteExactOut(outAmountAtomic, swapForY, slippageBps, opts) or ({ outAmountAtomic, swapForY, slippageBps }, opts)
+function unpackExactOutArgs(args) {
+  const [first] = args;
+  if (first && typeof first === 'object' && 'outAmountAtomic' in first) {
+    return [first.outAmountAtomic, first.swapForY ?? true, first.slippageBps ?? 50, args[1] || {}];
+  }
+  return args;
+}
+
 /**
  * Convert a value to a number, or return null if conversion fails
  * @param {any} val - Value to convert
@@ -136,4 +192,7 @@ module.exports = {
   humanToAtomic,
   hasReserves,
   getReserves,
+  getMidPrice,
+  unpackQuoteArgs,
+  unpackExactOutArgs,
 };
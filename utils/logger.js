@@ -0,0 +1,121 @@
+'use strict';
+/**
+ * logger.js - Shared leveled logger with component tags
+ *
+ * Every module gets its own logger: createLogger('engine'), createLogger('dlmm'),
+ * createLogger('enricher'), ... Lines go to stderr, so CLI reports on stdout
+ * stay clean, as JSON lines by default:
+ *
+ *   {"ts":"2026-01-12T16:20:21.548Z","level":"debug","component":"engine","msg":"leg","pool":"9d9m..."}
+ *
+ * Verbosity is per component and replaces the old `log: true` flags:
+ *   LOG_LEVEL=info                      default level for every component
+ *   LOG_LEVELS=engine=debug,dlmm=warn   per-component overrides
+ *   LOG_FORMAT=json|pretty              pretty is one human-readable line per entry
+ * or configureLogging({ level, components, format, stream }) from code.
+ */
+
+const LEVELS = Object.freeze({ trace: 10, debug: 20, info: 30, warn: 40, error: 50, silent: Infinity });
+
+function parseComponentLevels(spec) {
+  const out = {};
+  for (const part of String(spec || '').split(',')) {
+    const [component, level] = part.split('=').map(s => s && s.trim());
+    if (component && level) out[component] = level.toLowerCase();
+  }
+  return out;
+}
+
+// Unknown levels in the environment fall back to the default instead of silencing output
+const envLevel = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const envComponents = Object.fromEntries(
+  Object.entries(parseComponentLevels(process.env.LOG_LEVELS)).filter(([, l]) => l in LEVELS)
+);
+
+const config = {
+  level: envLevel in LEVELS ? envLevel : 'info',
+  components: envComponents,
+  format: (process.env.LOG_FORMAT || 'json').toLowerCase(),
+  stream: process.stderr,
+};
+
+function checkLevel(level) {
+  if (!(level in LEVELS)) throw new Error(`logger: unknown level '${level}' (known: ${Object.keys(LEVELS).join(', ')})`);
+  return level;
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} [opts.level] - Default level
+ * @param {Object|string} [opts.components] - { engine: 'debug' } or 'engine=debug,dlmm=warn'; merged into the current map
+ * @param {string} [opts.format] - 'json' or 'pretty'
+ * @param {{ write: Function }} [opts.stream] - Destination (default process.stderr)
+ */
+function configureLogging(opts = {}) {
+  if (opts.level) config.level = checkLevel(opts.level.toLowerCase());
+  if (opts.components) {
+    const comps = typeof opts.components === 'string' ? parseComponentLevels(opts.components) : opts.components;
+    for (const [c, l] of Object.entries(comps)) config.components[c] = checkLevel(String(l).toLowerCase());
+  }
+  if (opts.format) config.format = opts.format === 'pretty' ? 'pretty' : 'json';
+  if (opts.stream) config.stream = opts.stream;
+}
+
+function levelFor(component) {
+  return config.components[component] || config.level;
+}
+
+function serializable(value) {
+  if (value instanceof Error) return { message: value.message, ...(value.code ? { code: value.code } : {}) };
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+function formatPretty(entry) {
+  const { ts, level, component, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`)
+    .join(' ');
+  return `${ts} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+function write(component, level, msg, fields) {
+  const entry = { ts: new Date().toISOString(), level, component, msg: String(msg) };
+  for (const [k, v] of Object.entries(fields || {})) {
+    if (v !== undefined) entry[k] = serializable(v);
+  }
+  const line = config.format === 'pretty'
+    ? formatPretty(entry)
+    : JSON.stringify(entry, (k, v) => (typeof v === 'bigint' ? v.toString() : v));
+  config.stream.write(line + '\n');
+}
+
+/**
+ * @param {string} component - Tag on every line and key for per-component levels
+ * @param {Object} [bound] - Fields added to every line (see child())
+ * @returns {{ trace, debug, info, warn, error, enabled, child, component }}
+ *   Each level method is (msg, fields?) => void
+ */
+function createLogger(component, bound = {}) {
+  const enabled = (level) => LEVELS[level] >= LEVELS[levelFor(component)];
+  const at = (level) => (msg, fields) => {
+    if (enabled(level)) write(component, level, msg, { ...bound, ...fields });
+  };
+  return {
+    component,
+    trace: at('trace'),
+    debug: at('debug'),
+    info: at('info'),
+    warn: at('warn'),
+    error: at('error'),
+    enabled,
+    child: (fields) => createLogger(component, { ...bound, ...fields }),
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  configureLogging,
+  parseComponentLevels,
+};